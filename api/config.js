@@ -1,8 +1,15 @@
+import { botIdOf } from "../public/shared/credentials.js";
+
 export default function handler(req, res) {
+    // Bot tokens stay on the server; the InsForge anon key is the SDK's public client key.
+    // Bots are listed like /api/credentials lists them on the Express server.
     res.status(200).json({
+        user: null,
         insforgeUrl: process.env.INSFORGE_URL,
         insforgeAnonKey: process.env.INSFORGE_ANON_KEY,
-        defaultBotToken: process.env.BOT_TOKEN,
-        defaultChannelId: process.env.CHANNEL_ID
+        bots: process.env.BOT_TOKEN
+            ? [{ alias: "default", botId: botIdOf(process.env.BOT_TOKEN), username: null, source: "env", createdBy: null, createdAt: null }]
+            : [],
+        defaultChannelId: process.env.CHANNEL_ID || ""
     });
 }
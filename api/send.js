@@ -1,43 +1,61 @@
+import crypto from "crypto";
 import fetch from "node-fetch";
+import { parseDestinations, rowDestinations } from "../public/shared/destinations.js";
+import { composeMessage } from "../public/shared/message.js";
+import { normalizeKeyboard } from "../public/shared/keyboard.js";
+import { redactToken } from "../public/shared/credentials.js";
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const { rows, mapping } = req.body;
+  // There are no user accounts here: callers send the API_TOKEN as a Bearer token
+  const expected = Buffer.from(`Bearer ${process.env.API_TOKEN ?? ""}`);
+  const given = Buffer.from(String(req.headers.authorization ?? ""));
+  if (!process.env.API_TOKEN || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { rows, mapping, template, parseMode = "HTML", messageType = "auto" } = req.body;
 
   const BOT_TOKEN = process.env.BOT_TOKEN;
   const CHANNEL_ID = process.env.CHANNEL_ID;
 
+  const { destinations, invalid } = parseDestinations(req.body.destinations || CHANNEL_ID);
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: `Invalid destinations: ${invalid.join(", ")}` });
+  }
+
+  let keyboard;
+  try {
+    keyboard = normalizeKeyboard(req.body.keyboard);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid keyboard: ${err.message}` });
+  }
+
   try {
     for (const row of rows) {
-      const caption = `
-<b>${row[mapping.title]}</b>
-
-${row[mapping.description]}
-
-🔗 <a href="${row[mapping.view]}">View</a>
-⬇️ <a href="${row[mapping.download]}">Download</a>
-      `.trim();
-
-      await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendPhoto`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          chat_id: CHANNEL_ID,
-          photo: row[mapping.image],
-          caption,
-          parse_mode: "HTML"
-        })
-      });
-
-      // Telegram rate limit safety
-      await new Promise(r => setTimeout(r, 800));
+      const { method, payload } = composeMessage(row, mapping, { template, parseMode, type: messageType, keyboard });
+
+      for (const { chatId, threadId } of rowDestinations(row, mapping, destinations).destinations) {
+        await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/${method}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            chat_id: chatId,
+            ...(threadId && { message_thread_id: threadId }),
+            ...payload
+          })
+        });
+
+        // Telegram rate limit safety
+        await new Promise(r => setTimeout(r, 800));
+      }
     }
 
     res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(500).json({ error: redactToken(err.message) });
   }
 }
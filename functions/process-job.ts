@@ -1,5 +1,46 @@
 
 import { createClient } from 'https://esm.sh/@insforge/sdk@latest';
+import { composeMessage } from '../public/shared/message.js';
+import { parseDestinations, rowDestinations, destinationKey, formatDestination } from '../public/shared/destinations.js';
+import { unseal } from '../public/shared/secret-box.js';
+import { redactToken } from '../public/shared/credentials.js';
+
+// Rows claimed longer ago than this belong to an invocation that timed out
+// or crashed and are handed out again. A batch takes well under a minute.
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+// Users (emails or IDs, comma-separated) allowed to send with BOT_TOKEN
+function defaultBotUsers(): string[] {
+    return (Deno.env.get('BOT_TOKEN_USERS') ?? '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+// The token behind a job's bot alias, for the job's owner only: one of their
+// bot_credentials rows sealed with the CREDENTIALS_KEY secret, or this
+// function's BOT_TOKEN for "default" when they are listed in BOT_TOKEN_USERS.
+// Jobs from before aliases still carry bot_token.
+async function resolveBotToken(client: any, job: any, user: any): Promise<string> {
+    const alias = job.bot || (job.bot_token ? null : 'default');
+    if (!alias) return job.bot_token;
+
+    const { data: credentials } = await client.database
+        .from('bot_credentials')
+        .select('token')
+        .eq('alias', alias)
+        .eq('owner', user.id)
+        .limit(1);
+
+    const credential = credentials?.[0];
+    if (credential) return unseal(Deno.env.get('CREDENTIALS_KEY') ?? '', credential.token);
+
+    if (alias === 'default' && Deno.env.get('BOT_TOKEN')) {
+        const allowed = defaultBotUsers();
+        if (allowed.includes(String(user.email ?? '').toLowerCase()) || allowed.includes(String(user.id))) {
+            return Deno.env.get('BOT_TOKEN') as string;
+        }
+        throw new Error('You may not send with the default bot; ask to be added to BOT_TOKEN_USERS or save a bot of your own');
+    }
+    throw new Error(`No bot saved as "${alias}"`);
+}
 
 export default async function (req: Request): Promise<Response> {
     // CORS headers
@@ -14,12 +55,21 @@ export default async function (req: Request): Promise<Response> {
     }
 
     try {
-        // 1. Initialize InsForge Client
+        // 1. Initialize InsForge Client as the signed-in caller. The anon key
+        // is public, so a caller without a user session gets nowhere.
+        const accessToken = (req.headers.get('Authorization') ?? '').replace(/^Bearer\s+/i, '');
         const client = createClient({
             baseUrl: Deno.env.get('INSFORGE_BASE_URL') ?? '',
             anonKey: Deno.env.get('INSFORGE_ANON_KEY') ?? '',
+            accessToken
         });
 
+        const { data: session } = await client.auth.getCurrentUser();
+        const user = session?.user;
+        if (!accessToken || !user) {
+            return new Response(JSON.stringify({ error: 'Sign in to run cloud jobs' }), { status: 401, headers: corsHeaders });
+        }
+
         // Parse request
         const { jobId } = await req.json();
 
@@ -34,7 +84,8 @@ export default async function (req: Request): Promise<Response> {
             .eq('id', jobId)
             .single();
 
-        if (jobError || !job) {
+        // Someone else's job looks the same as a missing one
+        if (jobError || !job || job.owner !== user.id) {
             return new Response(JSON.stringify({ error: 'Job not found' }), { status: 404, headers: corsHeaders });
         }
 
@@ -42,12 +93,30 @@ export default async function (req: Request): Promise<Response> {
             return new Response(JSON.stringify({ message: `Job is ${job.status}, stopping.` }), { status: 200, headers: corsHeaders });
         }
 
+        // The browser is still inserting rows; it sets 'pending' once they are all in
+        if (job.status === 'uploading') {
+            return new Response(JSON.stringify({ message: 'Job rows are still being uploaded.' }), { status: 200, headers: corsHeaders });
+        }
+
+        // Paused jobs stop chaining; resuming sets status back to 'running' and re-invokes
+        if (job.status === 'paused') {
+            return new Response(JSON.stringify({ message: 'Job is paused.' }), { status: 200, headers: corsHeaders });
+        }
+
         // Update status to running if pending
         if (job.status === 'pending') {
             await client.database.from('jobs').update({ status: 'running' }).eq('id', jobId);
         }
 
-        // 3. Fetch Pending Rows (Batch of 20)
+        // 3. Take back rows whose claim expired, then fetch pending rows (batch of 20)
+        const leaseCutoff = new Date(Date.now() - CLAIM_LEASE_MS).toISOString();
+        await client.database
+            .from('job_rows')
+            .update({ status: 'pending', claimed_at: null })
+            .eq('job_id', jobId)
+            .eq('status', 'processing')
+            .lt('claimed_at', leaseCutoff);
+
         const { data: rows, error: rowsError } = await client.database
             .from('job_rows')
             .select('*')
@@ -61,6 +130,18 @@ export default async function (req: Request): Promise<Response> {
         }
 
         if (!rows || rows.length === 0) {
+            // Rows another invocation has claimed, within its lease, are still being sent
+            const { count: processing } = await client.database
+                .from('job_rows')
+                .select('*', { count: 'exact', head: true })
+                .eq('job_id', jobId)
+                .eq('status', 'processing')
+                .gte('claimed_at', leaseCutoff);
+
+            if (processing && processing > 0) {
+                return new Response(JSON.stringify({ message: 'Another invocation is sending the last rows.' }), { status: 200, headers: corsHeaders });
+            }
+
             // No more rows, mark job as completed
             await client.database.from('jobs').update({ status: 'completed', end_time: new Date() }).eq('id', jobId);
             return new Response(JSON.stringify({ message: 'Job completed' }), { status: 200, headers: corsHeaders });
@@ -68,65 +149,150 @@ export default async function (req: Request): Promise<Response> {
 
         // 4. Process Rows
         const mapping = job.mapping;
+        // Jobs created before multi-destination support only have channel_id
+        const defaultDestinations = job.destinations ?? parseDestinations(job.channel_id).destinations;
+
+        let botToken: string;
+        try {
+            botToken = await resolveBotToken(client, job, user);
+        } catch (err: any) {
+            // Without a token no row can be sent; fail the job instead of leaving it running
+            await client.database.from('jobs').update({ status: 'failed', end_time: new Date() }).eq('id', jobId);
+            return new Response(JSON.stringify({ error: err.message }), { status: 400, headers: corsHeaders });
+        }
+
+        // Claim the batch: only rows still 'pending' flip to 'processing', so an
+        // older chain that is still running (e.g. after a resume) never gets
+        // the same rows and nothing is posted twice. The claim is a lease that
+        // runs out after CLAIM_LEASE_MS.
+        const { data: claimed, error: claimError } = await client.database
+            .from('job_rows')
+            .update({ status: 'processing', claimed_at: new Date().toISOString() })
+            .in('id', rows.map((row: any) => row.id))
+            .eq('status', 'pending')
+            .select();
+
+        if (claimError) {
+            throw new Error(`Failed to claim rows: ${claimError.message}`);
+        }
+
+        if (!claimed || claimed.length === 0) {
+            return new Response(JSON.stringify({ message: 'Another invocation claimed these rows.' }), { status: 200, headers: corsHeaders });
+        }
+        claimed.sort((a: any, b: any) => a.row_index - b.row_index);
+
+        const destinationStats: Record<string, any> = {};
         let sentCount = 0;
         let failedCount = 0;
+        let haltedStatus: string | null = null;
+
+        const countDelivery = (delivery: any) => {
+            const key = destinationKey(delivery);
+            destinationStats[key] ??= { chatId: delivery.chatId, threadId: delivery.threadId, sent: 0, failed: 0 };
+            destinationStats[key][delivery.status]++;
+        };
 
-        for (const row of rows) {
-            // Check if job was stopped concurrently
+        for (const [index, row] of claimed.entries()) {
+            // Check if job was stopped or paused concurrently
             const { data: currentJob } = await client.database.from('jobs').select('status').eq('id', jobId).single();
-            if (currentJob?.status === 'stopped') {
+            if (currentJob?.status === 'stopped' || currentJob?.status === 'paused') {
+                haltedStatus = currentJob.status;
+                // Hand the unsent rows back so a resume picks them up
+                await client.database
+                    .from('job_rows')
+                    .update({ status: 'pending', claimed_at: null })
+                    .in('id', claimed.slice(index).map((unsent: any) => unsent.id))
+                    .eq('status', 'processing');
                 break;
             }
 
             const rowData = row.data;
-            const caption = `
-<b>${rowData[mapping.title] || "No Title"}</b>
+            const parseMode = job.parse_mode || 'HTML';
+            // Deliveries are stored on the row so a rate-limited row resumes
+            // without posting twice to the destinations it already reached
+            let deliveries = row.deliveries;
 
-${rowData[mapping.description] || ""}
+            try {
+                const { method, payload } = composeMessage(rowData, mapping, {
+                    template: job.template,
+                    parseMode,
+                    type: job.message_type || 'photo',
+                    keyboard: job.keyboard
+                });
 
-🔗 <a href="${rowData[mapping.view] || "#"}">View</a>
-⬇️ <a href="${rowData[mapping.download] || "#"}">Download</a>
-      `.trim();
+                if (!deliveries) {
+                    const { destinations, invalid } = rowDestinations(rowData, mapping, defaultDestinations);
+                    if (invalid.length > 0) throw new Error(`Invalid destination: ${invalid.join(', ')}`);
+                    if (destinations.length === 0) throw new Error('No destination');
+                    deliveries = destinations.map((d: any) => ({ ...d, status: 'pending', error: null }));
+                }
 
-            const imageUrl = rowData[mapping.image];
+                let rateLimited = false;
+                for (const delivery of deliveries) {
+                    // A pending row with failed deliveries is being retried
+                    if (delivery.status === 'sent') continue;
 
-            try {
-                if (!imageUrl) throw new Error("No image URL");
-
-                // Send to Telegram
-                const tgRes = await fetch(`https://api.telegram.org/bot${job.bot_token}/sendPhoto`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        chat_id: job.channel_id,
-                        photo: imageUrl,
-                        caption: caption,
-                        parse_mode: 'HTML'
-                    })
-                });
+                    // Send to Telegram
+                    const tgRes = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            chat_id: delivery.chatId,
+                            ...(delivery.threadId && { message_thread_id: delivery.threadId }),
+                            ...payload
+                        })
+                    });
 
-                const tgData = await tgRes.json();
+                    const tgData = await tgRes.json();
 
-                if (tgData.ok) {
+                    if (tgData.ok) {
+                        delivery.status = 'sent';
+                        delivery.error = null;
+                        countDelivery(delivery);
+                    } else if (tgData.error_code === 429) {
+                        // Rate limit, leave the row pending to retry in a later batch
+                        const retryAfter = tgData.parameters?.retry_after || 30;
+                        rateLimited = true;
+                        await new Promise(r => setTimeout(r, retryAfter * 1000));
+                        break;
+                    } else {
+                        delivery.status = 'failed';
+                        delivery.error = tgData.description || "Telegram Error";
+                        countDelivery(delivery);
+                    }
+                }
+
+                const failed = deliveries.filter((d: any) => d.status === 'failed');
+
+                if (rateLimited) {
+                    await client.database.from('job_rows').update({ status: 'pending', deliveries }).eq('id', row.id);
+                } else if (failed.length > 0) {
+                    failedCount++;
+                    await client.database.from('job_rows').update({
+                        status: 'failed',
+                        error: failed.map((d: any) => `${formatDestination(d)}: ${d.error}`).join('; '),
+                        deliveries
+                    }).eq('id', row.id);
+                } else {
                     // Success
-                    await client.database.from('job_rows').update({ status: 'sent' }).eq('id', row.id);
+                    await client.database.from('job_rows').update({ status: 'sent', deliveries }).eq('id', row.id);
                     sentCount++;
-                } else if (tgData.error_code === 429) {
-                    // Rate limit
-                    const retryAfter = tgData.parameters?.retry_after || 30;
-                    await new Promise(r => setTimeout(r, retryAfter * 1000));
-
-                    await client.database.from('job_rows').update({ status: 'pending' }).eq('id', row.id); // Leave as pending to retry
-                    // Wait to respect rate limit
-                    await new Promise(r => setTimeout(r, retryAfter * 1000));
-                } else {
-                    throw new Error(tgData.description || "Telegram Error");
                 }
             } catch (err: any) {
+                const error = redactToken(err.message);
+                // Keep the destinations already reached so a retry skips them
+                for (const delivery of deliveries ?? []) {
+                    if (delivery.status !== 'pending') continue;
+                    delivery.status = 'failed';
+                    delivery.error = error;
+                    countDelivery(delivery);
+                }
+
                 failedCount++;
                 await client.database.from('job_rows').update({
                     status: 'failed',
-                    error: err.message
+                    error,
+                    deliveries
                 }).eq('id', row.id);
             }
 
@@ -137,16 +303,30 @@ ${rowData[mapping.description] || ""}
         // 5. Update Job Stats
         // Use manual update instead of RPC to avoid dependency on SQL function existence, 
         // or assuming RPC needs client.database.rpc if it existed.
-        const { data: latestJob } = await client.database.from('jobs').select('sent, failed, current').eq('id', jobId).single();
+        const { data: latestJob } = await client.database.from('jobs').select('sent, failed, current, destination_stats').eq('id', jobId).single();
         if (latestJob) {
+            const mergedStats = { ...(latestJob.destination_stats ?? {}) };
+            for (const [key, stats] of Object.entries(destinationStats)) {
+                const previous = mergedStats[key] ?? { sent: 0, failed: 0 };
+                mergedStats[key] = { ...stats, sent: previous.sent + stats.sent, failed: previous.failed + stats.failed };
+            }
+
             await client.database.from('jobs').update({
                 sent: latestJob.sent + sentCount,
                 failed: latestJob.failed + failedCount,
                 current: latestJob.current + sentCount + failedCount,
+                destination_stats: mergedStats,
                 updated_at: new Date()
             }).eq('id', jobId);
         }
 
+        if (haltedStatus) {
+            return new Response(JSON.stringify({
+                message: `Processed ${sentCount + failedCount} rows. Job is ${haltedStatus}.`,
+                continue: false
+            }), { status: 200, headers: corsHeaders });
+        }
+
         // 6. Chain Invocation (Recursive) if more rows exist
         const { count } = await client.database
             .from('job_rows')
@@ -174,7 +354,7 @@ ${rowData[mapping.description] || ""}
         return new Response(JSON.stringify({ message: "Job completed" }), { status: 200, headers: corsHeaders });
 
     } catch (err: any) {
-        console.error("Function error:", err);
-        return new Response(JSON.stringify({ error: err.message }), { status: 500, headers: corsHeaders });
+        console.error("Function error:", redactToken(err.message));
+        return new Response(JSON.stringify({ error: redactToken(err.message) }), { status: 500, headers: corsHeaders });
     }
 }
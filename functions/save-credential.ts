@@ -0,0 +1,88 @@
+import { createClient } from 'https://esm.sh/@insforge/sdk@latest';
+import { normalizeAlias, isBotToken, botIdOf, redactToken } from '../public/shared/credentials.js';
+import { seal } from '../public/shared/secret-box.js';
+
+// Saves a bot token for cloud jobs: checks it with getMe, seals it with the
+// CREDENTIALS_KEY secret and stores it in bot_credentials under an alias
+// owned by the signed-in caller. Jobs then only carry the alias, which only
+// that user's jobs can send with; the token is never returned.
+export default async function (req: Request): Promise<Response> {
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    };
+    const reply = (body: Record<string, unknown>, status = 200) =>
+        new Response(JSON.stringify(body), { status, headers: corsHeaders });
+
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: corsHeaders });
+    }
+
+    try {
+        const key = Deno.env.get('CREDENTIALS_KEY');
+        if (!key) {
+            return reply({ error: 'Set the CREDENTIALS_KEY secret to save bot tokens' }, 503);
+        }
+
+        const body = await req.json();
+        let alias: string;
+        try {
+            alias = normalizeAlias(body.alias);
+        } catch (err: any) {
+            return reply({ error: err.message }, 400);
+        }
+
+        const token = String(body.token ?? '').trim();
+        if (!isBotToken(token)) {
+            return reply({ error: 'That does not look like a bot token from @BotFather' }, 400);
+        }
+
+        // Act as the caller; the anon key alone is not enough to save a bot
+        const accessToken = (req.headers.get('Authorization') ?? '').replace(/^Bearer\s+/i, '');
+        const client = createClient({
+            baseUrl: Deno.env.get('INSFORGE_BASE_URL') ?? '',
+            anonKey: Deno.env.get('INSFORGE_ANON_KEY') ?? '',
+            accessToken
+        });
+
+        const { data: session } = await client.auth.getCurrentUser();
+        const user = session?.user;
+        if (!accessToken || !user) {
+            return reply({ error: 'Sign in to save bots' }, 401);
+        }
+
+        // A saved alias is never replaced
+        const { data: existing } = await client.database
+            .from('bot_credentials')
+            .select('alias')
+            .eq('alias', alias)
+            .eq('owner', user.id)
+            .limit(1);
+
+        if (existing?.length) {
+            return reply({ error: `A bot is already saved as "${alias}"` }, 409);
+        }
+
+        const tgRes = await fetch(`https://api.telegram.org/bot${token}/getMe`);
+        const tgData = await tgRes.json();
+        if (!tgData.ok) {
+            return reply({ error: `Telegram rejected the token: ${tgData.description}` }, 400);
+        }
+
+        const { error } = await client.database.from('bot_credentials').insert([{
+            owner: user.id,
+            alias,
+            bot_id: botIdOf(token),
+            username: tgData.result.username,
+            token: await seal(key, token)
+        }]);
+
+        if (error) throw new Error(`Failed to save: ${error.message}`);
+
+        return reply({ success: true, bot: { alias, botId: botIdOf(token), username: tgData.result.username } });
+    } catch (err: any) {
+        console.error('Function error:', redactToken(err.message));
+        return reply({ error: redactToken(err.message) }, 500);
+    }
+}
@@ -0,0 +1,284 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { promisify } from "util";
+
+// ========================================
+// AUTH - Users, sign-in sessions and API tokens
+// ========================================
+// Saved to <dataDir>/auth.json. Passwords are stored as scrypt hashes
+// ("scrypt$N$r$p$salt$hash"); session and API tokens only as their SHA-256,
+// so the file alone never lets anyone sign in. API tokens start with "tst_"
+// and are shown once, when they are created.
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SAVE_DELAY_MS = 1000;
+
+// Failed sign-ins allowed per username and address before a lockout
+const MAX_FAILED_LOGINS = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+export const ROLES = ["admin", "user"];
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT);
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt") return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function digest(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function loginKey(username, ip) {
+  return `${String(username ?? "").toLowerCase()}|${ip}`;
+}
+
+// Throws when a new account's username, password or role is unusable
+export function validateAccount({ username, password, role = "user" }) {
+  if (!USERNAME_PATTERN.test(String(username ?? ""))) {
+    throw new Error("Username must be 3-32 letters, digits, dots, dashes or underscores");
+  }
+  validatePassword(password);
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+}
+
+export function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// What the API shows of a user
+export function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+export class AuthStore {
+  constructor(dataDir, { sessionTtlMs = 7 * 24 * 3600000 } = {}) {
+    this.file = path.join(dataDir, "auth.json");
+    this.sessionTtlMs = sessionTtlMs;
+    this.users = new Map(); // id -> { id, username, role, passwordHash, createdAt }
+    this.tokens = new Map(); // id -> { id, userId, name, hash, createdAt, lastUsedAt }
+    this.sessions = new Map(); // sha256 of the cookie -> { userId, expiresAt }
+    this.failedLogins = new Map(); // "username|ip" -> [timestamps]
+    this.saveTimer = null;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      for (const user of saved.users || []) this.users.set(user.id, user);
+      for (const token of saved.tokens || []) this.tokens.set(token.id, token);
+      for (const [hash, session] of Object.entries(saved.sessions || {})) this.sessions.set(hash, session);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error("Failed to load users:", err.message);
+    }
+  }
+
+  get hasUsers() {
+    return this.users.size > 0;
+  }
+
+  findUser(username) {
+    const name = String(username ?? "").toLowerCase();
+    return [...this.users.values()].find(user => user.username.toLowerCase() === name) || null;
+  }
+
+  listUsers() {
+    return [...this.users.values()].map(publicUser);
+  }
+
+  async createUser({ username, password, role = "user" }) {
+    validateAccount({ username, password, role });
+    if (this.findUser(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(user.id, user);
+    this.save();
+    return publicUser(user);
+  }
+
+  // Remove a user with their sessions and API tokens; their jobs stay
+  deleteUser(userId) {
+    if (!this.users.delete(userId)) return false;
+
+    for (const [hash, session] of this.sessions) {
+      if (session.userId === userId) this.sessions.delete(hash);
+    }
+    for (const [id, token] of this.tokens) {
+      if (token.userId === userId) this.tokens.delete(id);
+    }
+    this.save();
+    return true;
+  }
+
+  // Change a password and sign out every other session of the user
+  async setPassword(userId, password, keepSession = null) {
+    validatePassword(password);
+    const user = this.users.get(userId);
+    user.passwordHash = await hashPassword(password);
+
+    const kept = keepSession && digest(keepSession);
+    for (const [hash, session] of this.sessions) {
+      if (session.userId === userId && hash !== kept) this.sessions.delete(hash);
+    }
+    this.save();
+  }
+
+  async checkPassword(userId, password) {
+    const user = this.users.get(userId);
+    return !!user && typeof password === "string" && verifyPassword(password, user.passwordHash);
+  }
+
+  // Too many failed sign-ins for this username from this address
+  isLockedOut(username, ip) {
+    const key = loginKey(username, ip);
+    const recent = (this.failedLogins.get(key) || []).filter(at => Date.now() - at < LOGIN_WINDOW_MS);
+    this.failedLogins.set(key, recent);
+    return recent.length >= MAX_FAILED_LOGINS;
+  }
+
+  // { token, user } for a correct username and password, otherwise null
+  async login(username, password, ip) {
+    const user = this.findUser(username);
+    let valid = false;
+    if (user && typeof password === "string") {
+      valid = await verifyPassword(password, user.passwordHash);
+    } else {
+      // Take as long as a real check so response times don't reveal usernames
+      await scrypt(String(password ?? ""), "unknown-user", KEY_LENGTH, SCRYPT);
+    }
+
+    if (!valid) {
+      const key = loginKey(username, ip);
+      this.failedLogins.set(key, [...(this.failedLogins.get(key) || []), Date.now()]);
+      return null;
+    }
+
+    this.failedLogins.delete(loginKey(username, ip));
+    this.pruneSessions();
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    this.sessions.set(digest(token), { userId: user.id, expiresAt: Date.now() + this.sessionTtlMs });
+    this.save();
+    return { token, user: publicUser(user) };
+  }
+
+  logout(token) {
+    if (token && this.sessions.delete(digest(token))) this.save();
+  }
+
+  userForSession(token) {
+    if (!token) return null;
+
+    const session = this.sessions.get(digest(token));
+    if (!session) return null;
+
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(digest(token));
+      this.scheduleSave();
+      return null;
+    }
+    return this.users.get(session.userId) || null;
+  }
+
+  pruneSessions() {
+    const now = Date.now();
+    for (const [hash, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(hash);
+    }
+  }
+
+  // A new API token for scripts; the token itself is only returned here
+  createToken(userId, name) {
+    const token = `tst_${crypto.randomBytes(24).toString("base64url")}`;
+    const entry = {
+      id: crypto.randomUUID(),
+      userId,
+      name: String(name || "API token").slice(0, 64),
+      hash: digest(token),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.tokens.set(entry.id, entry);
+    this.save();
+    return { token, ...this.publicToken(entry) };
+  }
+
+  publicToken({ id, name, createdAt, lastUsedAt }) {
+    return { id, name, createdAt, lastUsedAt };
+  }
+
+  listTokens(userId) {
+    return [...this.tokens.values()].filter(token => token.userId === userId).map(token => this.publicToken(token));
+  }
+
+  revokeToken(userId, tokenId) {
+    const token = this.tokens.get(tokenId);
+    if (!token || token.userId !== userId) return false;
+
+    this.tokens.delete(tokenId);
+    this.save();
+    return true;
+  }
+
+  userForToken(token) {
+    if (!token?.startsWith("tst_")) return null;
+
+    const hash = digest(token);
+    const entry = [...this.tokens.values()].find(other => other.hash === hash);
+    if (!entry) return null;
+
+    entry.lastUsedAt = new Date().toISOString();
+    this.scheduleSave();
+    return this.users.get(entry.userId) || null;
+  }
+
+  // Batch writes of lastUsedAt and expired sessions
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      users: [...this.users.values()],
+      tokens: [...this.tokens.values()],
+      sessions: Object.fromEntries(this.sessions)
+    }), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+}
@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import { seal, unseal, parseKey } from "../public/shared/secret-box.js";
+import { botIdOf } from "../public/shared/credentials.js";
+
+// ========================================
+// CREDENTIALS - Bot tokens saved on the server under an alias
+// ========================================
+// Saved to <dataDir>/credentials.json as
+//   { alias: { botId, username, token: "v1.<iv>.<ciphertext>", createdBy, createdAt } }
+// with the token sealed by CREDENTIALS_KEY. Tokens from the environment
+// (BOT_TOKEN is "default") are offered too but never written to disk.
+// Nothing here hands a token to a route; only the job manager asks for one.
+
+export class CredentialVault {
+  constructor(dataDir, { key = null, envTokens = {} } = {}) {
+    this.file = path.join(dataDir, "credentials.json");
+    this.key = key || null;
+    if (this.key) parseKey(this.key); // Fail at startup, not on the first save
+    this.envTokens = Object.fromEntries(Object.entries(envTokens).filter(([, token]) => token));
+    this.entries = Object.create(null); // Aliases like "__proto__" are plain keys
+
+    try {
+      Object.assign(this.entries, JSON.parse(fs.readFileSync(this.file, "utf8")));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error("Failed to load credentials:", err.message);
+    }
+  }
+
+  // Tokens can only be saved once a key is configured
+  get canSave() {
+    return !!this.key;
+  }
+
+  has(alias) {
+    return Object.hasOwn(this.entries, alias) || Object.hasOwn(this.envTokens, alias);
+  }
+
+  botId(alias) {
+    if (Object.hasOwn(this.entries, alias)) return this.entries[alias].botId;
+    return Object.hasOwn(this.envTokens, alias) ? botIdOf(this.envTokens[alias]) : null;
+  }
+
+  // What the API shows of the saved bots: never the token
+  list() {
+    const saved = Object.entries(this.entries).map(([alias, { botId, username, createdBy, createdAt }]) => ({
+      alias, botId, username, source: "vault", createdBy, createdAt
+    }));
+    const env = Object.keys(this.envTokens)
+      .filter(alias => !Object.hasOwn(this.entries, alias))
+      .map(alias => ({ alias, botId: this.botId(alias), username: null, source: "env", createdBy: null, createdAt: null }));
+    return [...env, ...saved];
+  }
+
+  // The token for an alias, or null when there is none
+  async token(alias) {
+    if (!Object.hasOwn(this.entries, alias)) {
+      return Object.hasOwn(this.envTokens, alias) ? this.envTokens[alias] : null;
+    }
+
+    const entry = this.entries[alias];
+
+    if (!this.key) throw new Error("CREDENTIALS_KEY is not set, saved bot tokens cannot be read");
+    return unseal(this.key, entry.token);
+  }
+
+  async save(alias, token, { username = null, createdBy = null } = {}) {
+    this.entries[alias] = {
+      botId: botIdOf(token),
+      username,
+      token: await seal(this.key, token),
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    this.write();
+    return this.list().find(bot => bot.alias === alias);
+  }
+
+  // Only saved tokens can be removed, environment ones stay
+  remove(alias) {
+    if (!Object.hasOwn(this.entries, alias)) return false;
+    delete this.entries[alias];
+    this.write();
+    return true;
+  }
+
+  write() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.entries, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+}
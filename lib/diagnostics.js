@@ -0,0 +1,120 @@
+import fetch from "node-fetch";
+import { destinationKey, formatDestination } from "../public/shared/destinations.js";
+import { redactToken } from "../public/shared/credentials.js";
+
+// ========================================
+// DIAGNOSTICS - Can this bot post to these destinations?
+// ========================================
+// Runs the checks a job would otherwise fail on row 1 and returns them as a
+// checklist of { id, label, status, detail } with status "ok", "warn",
+// "fail" or "skipped":
+//   bot             getMe: the token works
+//   chat:<dest>     getChat: the chat exists and the bot can see it
+//   rights:<dest>   getChatMember: the bot may post there (channels need an
+//                   admin with can_post_messages)
+//   test:<dest>     optional: a test message is sent and deleted again
+
+const TEST_MESSAGE = "🔧 Connection test from Template Sender, this message deletes itself.";
+
+async function call(token, method, fields = {}) {
+  try {
+    const response = await fetch(`https://api.telegram.org/bot${token}/${method}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(fields)
+    });
+    return await response.json();
+  } catch (err) {
+    return { ok: false, description: redactToken(err.message) };
+  }
+}
+
+// What a chat member may do: { status, detail } for the rights check
+function postingRights(chat, member) {
+  const role = member.status;
+
+  if (role === "creator") return { status: "ok", detail: "Bot owns the chat" };
+
+  if (chat.type === "channel") {
+    if (role !== "administrator") {
+      return { status: "fail", detail: `Bot is ${role}; make it an admin of the channel` };
+    }
+    if (!member.can_post_messages) {
+      return { status: "fail", detail: "Bot is an admin without the \"Post messages\" right" };
+    }
+    return {
+      status: member.can_edit_messages && member.can_delete_messages ? "ok" : "warn",
+      detail: member.can_edit_messages && member.can_delete_messages
+        ? "Admin, can post, edit and delete"
+        : "Admin and can post, but cannot edit or delete posts"
+    };
+  }
+
+  if (role === "administrator") return { status: "ok", detail: "Admin of the group" };
+  if (role === "member" || (role === "restricted" && member.can_send_messages)) {
+    return { status: "warn", detail: "Member, can post but not edit or delete others' messages" };
+  }
+  return { status: "fail", detail: `Bot is ${role} and cannot post here` };
+}
+
+// Checklist for a bot and its destinations. `limiter` spaces out the test
+// messages like any other job; `testMessage` sends and deletes one per chat.
+export async function diagnose(token, destinations, { limiter = null, testMessage = false } = {}) {
+  const checks = [];
+  const add = (id, label, status, detail) => checks.push({ id, label, status, detail });
+
+  const me = await call(token, "getMe");
+  if (!me.ok) {
+    add("bot", "Bot token", "fail", me.description || "Telegram rejected the token");
+    return { ok: false, bot: null, checks };
+  }
+  add("bot", "Bot token", "ok", `@${me.result.username}`);
+
+  if (destinations.length === 0) {
+    add("destinations", "Destinations", "fail", "No destinations to check");
+  }
+
+  for (const destination of destinations) {
+    const key = destinationKey(destination);
+    const name = formatDestination(destination);
+
+    const chat = await call(token, "getChat", { chat_id: destination.chatId });
+    if (!chat.ok) {
+      add(`chat:${key}`, `${name}: chat`, "fail", chat.description || "Chat not found");
+      add(`rights:${key}`, `${name}: posting rights`, "skipped", "Chat not found");
+      continue;
+    }
+    const title = chat.result.title || chat.result.username || chat.result.first_name || "";
+    add(`chat:${key}`, `${name}: chat`, "ok", `${chat.result.type}${title ? ` "${title}"` : ""}`);
+
+    const member = await call(token, "getChatMember", { chat_id: destination.chatId, user_id: me.result.id });
+    const rights = member.ok
+      ? postingRights(chat.result, member.result)
+      : { status: "fail", detail: member.description || "Could not read the bot's rights" };
+    add(`rights:${key}`, `${name}: posting rights`, rights.status, rights.detail);
+
+    if (!testMessage) continue;
+    if (rights.status === "fail") {
+      add(`test:${key}`, `${name}: test message`, "skipped", "Bot cannot post here");
+      continue;
+    }
+
+    if (limiter) await limiter.acquire(token, destination.chatId);
+    const sent = await call(token, "sendMessage", {
+      chat_id: destination.chatId,
+      ...(destination.threadId && { message_thread_id: destination.threadId }),
+      text: TEST_MESSAGE,
+      disable_notification: true
+    });
+    if (!sent.ok) {
+      add(`test:${key}`, `${name}: test message`, "fail", sent.description || "Could not send");
+      continue;
+    }
+
+    const deleted = await call(token, "deleteMessage", { chat_id: destination.chatId, message_id: sent.result.message_id });
+    add(`test:${key}`, `${name}: test message`, deleted.ok ? "ok" : "warn",
+      deleted.ok ? "Sent and deleted" : `Sent, but could not delete it: ${deleted.description}`);
+  }
+
+  return { ok: checks.every(check => check.status !== "fail"), bot: me.result.username, checks };
+}
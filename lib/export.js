@@ -0,0 +1,61 @@
+import { destinationKey, messageLink } from "../public/shared/destinations.js";
+
+// ========================================
+// EXPORT - Row-by-row results of a job as JSON or CSV
+// ========================================
+// One record per row and destination, so a row posted to three chats gives
+// three records. Rows that never got a destination give one record.
+
+export const EXPORT_FORMATS = ["csv", "json"];
+
+export function exportRecords(job) {
+  const records = [];
+
+  job.rows.forEach((row, index) => {
+    const deliveries = row.deliveries.length ? row.deliveries : [null];
+    for (const delivery of deliveries) {
+      const messageIds = delivery?.messageIds || [];
+      records.push({
+        row: index + 1,
+        data: row.data,
+        destination: delivery ? destinationKey(delivery) : null,
+        status: delivery?.status ?? row.status,
+        attempts: delivery?.attempts ?? row.attempts,
+        error: delivery?.error ?? row.error,
+        messageIds,
+        link: delivery ? messageLink(delivery, messageIds[0]) : null
+      });
+    }
+  });
+
+  return records;
+}
+
+// Spreadsheet apps run cells starting with these as formulas; a "-" is
+// only left alone on a plain number. Destinations are validated chat IDs
+// and @usernames, so they are written as they are.
+function csvCell(value, guard = true) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (guard && (/^[=+@\t\r]/.test(text) || (text.startsWith("-") && !/^-?\d+(\.\d+)?$/.test(text)))) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The original columns (in order of first appearance) followed by the results
+export function toCsv(records) {
+  const columns = [];
+  for (const { data } of records) {
+    for (const key of Object.keys(data || {})) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+
+  const header = ["row", ...columns, "destination", "status", "attempts", "error", "message_id", "message_link"];
+  const lines = records.map(record => [
+    csvCell(record.row),
+    ...columns.map(column => csvCell(record.data?.[column])),
+    csvCell(record.destination, false),
+    ...[record.status, record.attempts, record.error, record.messageIds.join(" "), record.link].map(value => csvCell(value))
+  ].join(","));
+
+  return [header.map(value => csvCell(value)).join(","), ...lines].join("\r\n") + "\r\n";
+}
@@ -0,0 +1,95 @@
+import fs from "fs";
+import path from "path";
+
+// ========================================
+// FILE CACHE - Telegram file_ids of media the bot has already posted
+// ========================================
+// Keys look like "<botId>:<kind>:<source>" where source is the media URL or
+// "sha256:<hash>" of an uploaded file. file_ids only work for the bot that
+// received them, and a photo file_id cannot be sent as a document, so both
+// are part of the key. Saved to <dataDir>/file-cache.json.
+
+const SAVE_DELAY_MS = 1000;
+
+export function cacheKey(botId, kind, source) {
+  return `${botId}:${kind}:${source}`;
+}
+
+export class FileCache {
+  constructor(dataDir) {
+    this.file = path.join(dataDir, "file-cache.json");
+    this.entries = new Map();
+    this.saveTimer = null;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      for (const [key, entry] of Object.entries(saved)) this.entries.set(key, entry);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error("Failed to load file cache:", err.message);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // file_id for a key, counting the hit
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+    this.scheduleSave();
+    return entry.fileId;
+  }
+
+  set(key, fileId) {
+    const existing = this.entries.get(key);
+    if (existing?.fileId === fileId) return;
+
+    const now = new Date().toISOString();
+    this.entries.set(key, { fileId, hits: existing?.hits || 0, createdAt: now, lastUsedAt: now });
+    this.scheduleSave();
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) this.scheduleSave();
+  }
+
+  // Remove every entry whose source matches (all entries when source is empty)
+  clear(source = "") {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (!source || key.split(":").slice(2).join(":") === source) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed) this.scheduleSave();
+    return removed;
+  }
+
+  list() {
+    return [...this.entries].map(([key, entry]) => {
+      const [botId, kind, ...source] = key.split(":");
+      return { key, botId, kind, source: source.join(":"), ...entry };
+    });
+  }
+
+  // Batch writes; a crash loses at most the last second of new file_ids
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.entries)));
+    fs.renameSync(tmp, this.file);
+  }
+}
@@ -0,0 +1,259 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import readline from "readline";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import csvParser from "csv-parser";
+import { Workbook } from "./xlsx.js";
+import { publicFetch } from "./safe-fetch.js";
+import {
+  IMPORT_FORMATS,
+  importFormat,
+  sheetCsvUrl,
+  uniqueHeaders,
+  isBlankRow,
+  tableFromGrid,
+  tableFromRecords,
+  parseJsonTable
+} from "../public/shared/importers.js";
+
+// ========================================
+// IMPORTS - Spreadsheets and JSON parsed on the server
+// ========================================
+// The browser uploads the file (or names a URL) instead of posting every row
+// as JSON. The upload is streamed to <dataDir>/imports/<uuid>.part and kept
+// as <importId>/source.<format> next to meta.json. Jobs are created by
+// parsing that file again, so the rows never have to travel back up.
+// CSV, TSV and JSON lines are read as a stream and report their progress;
+// XLSX and JSON documents are read in one go.
+
+const IMPORT_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const FETCH_TIMEOUT_MS = 60000;
+const PROGRESS_EVERY_ROWS = 1000;
+const PARSED_TTL_MS = 10 * 60 * 1000; // How long a finished background parse waits to be picked up
+
+const STREAMED_FORMATS = new Set(["csv", "tsv", "jsonl"]);
+
+// Passes bytes through and fails once more than `maxBytes` went by
+function byteLimit(maxBytes) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        callback(new Error(`The file is larger than ${Math.round(maxBytes / 1048576)} MB`));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+// CSV / TSV with csv-parser; the first non-empty line names the columns.
+// Lines longer than the header get "Column N" headers of their own.
+function readDelimited(input, separator, onRows) {
+  const rows = [];
+  let headers = null;
+
+  const parser = csvParser({ separator, headers: false });
+  parser.on("data", record => {
+    const cells = Object.values(record);
+    if (isBlankRow(cells)) return; // Like Papa's skipEmptyLines
+    if (!headers) {
+      headers = uniqueHeaders(cells.map((cell, index) => index === 0 ? cell.replace(/^\uFEFF/, "") : cell));
+      return;
+    }
+    for (let index = headers.length; index < cells.length; index++) headers.push(`Column ${index + 1}`);
+    rows.push(Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ""])));
+    if (rows.length % PROGRESS_EVERY_ROWS === 0) onRows(rows.length);
+  });
+
+  return pipeline(input, parser).then(() => ({ rows, headers: headers ?? [] }));
+}
+
+async function readJsonLines(input, onRows) {
+  const records = [];
+  let lineNumber = 0;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(lineNumber === 1 ? line.replace(/^\uFEFF/, "") : line));
+    } catch (err) {
+      lines.close();
+      input.destroy();
+      throw new Error(`Line ${lineNumber} is not valid JSON: ${err.message}`);
+    }
+    if (records.length % PROGRESS_EVERY_ROWS === 0) onRows(records.length);
+  }
+
+  if (records.length === 0) throw new Error("The file is empty");
+  return tableFromRecords(records);
+}
+
+// Rows and headers of a source file; `sheet` picks the XLSX sheet (default:
+// the first). `onProgress({ bytes, size, rows })` follows streamed formats.
+export async function parseSource(file, format, { sheet = null, onProgress = () => {} } = {}) {
+  const size = fs.statSync(file).size;
+
+  if (STREAMED_FORMATS.has(format)) {
+    const input = fs.createReadStream(file);
+    const onRows = rows => onProgress({ bytes: input.bytesRead, size, rows });
+
+    const table = format === "jsonl"
+      ? await readJsonLines(input, onRows)
+      : await readDelimited(input, format === "tsv" ? "\t" : ",", onRows);
+    onProgress({ bytes: size, size, rows: table.rows.length });
+    return table;
+  }
+
+  switch (format) {
+    case "json":
+      return parseJsonTable(fs.readFileSync(file, "utf8"));
+    case "xlsx": {
+      const workbook = new Workbook(fs.readFileSync(file));
+      const name = sheet || workbook.sheetNames[0];
+      return { ...tableFromGrid(workbook.readSheet(name)), sheets: workbook.sheetNames, sheet: name };
+    }
+    default:
+      throw new Error(`Unsupported file type, use one of: ${IMPORT_FORMATS.join(", ")}`);
+  }
+}
+
+// Download a CSV / TSV / XLSX / JSON source into `file`; Google Sheets
+// links are turned into their CSV export first. Hosts on private networks
+// are refused, redirects included.
+export async function fetchSource(url, file, { maxBytes }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new Error("That is not a valid URL");
+  }
+  if (!/^https?:$/.test(parsed.protocol)) throw new Error("Only http and https links can be imported");
+
+  const source = sheetCsvUrl(parsed.href);
+  const fromSheets = source !== parsed.href;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await publicFetch(source, { signal: controller.signal });
+    const contentType = response.headers.get("content-type") || "";
+
+    // Private sheets answer with an error or redirect to a sign-in page
+    if (fromSheets && (!response.ok || /text\/html/i.test(contentType))) {
+      throw new Error("Google Sheets refused the export, publish the sheet or share it with anyone who has the link");
+    }
+    if (!response.ok) throw new Error(`Download failed with HTTP ${response.status}`);
+    if (/text\/html/i.test(contentType)) throw new Error("The link points to a web page, not a spreadsheet or JSON file");
+
+    const length = Number(response.headers.get("content-length"));
+    if (length > maxBytes) throw new Error(`The file is ${Math.round(length / 1048576)} MB, the limit is ${Math.round(maxBytes / 1048576)} MB`);
+
+    const fileName = fromSheets
+      ? "Google Sheet.csv"
+      : decodeURIComponent(parsed.pathname.split("/").pop() || "") || parsed.hostname;
+    const format = fromSheets ? "csv" : importFormat(fileName, contentType);
+    if (!format) throw new Error(`Cannot tell the file type of ${fileName} (${contentType || "no Content-Type"})`);
+
+    await pipeline(response.body, byteLimit(maxBytes), fs.createWriteStream(file));
+    return { fileName, format };
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    throw new Error(err.name === "AbortError" ? `Download timed out: ${url}` : err.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export class ImportStore {
+  constructor(dataDir) {
+    this.dir = path.join(dataDir, "imports");
+    this.parsing = new Map(); // importId -> { progress, done, promise }
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  folder(importId) {
+    if (!IMPORT_ID_PATTERN.test(importId)) throw new Error("Invalid import ID");
+    return path.join(this.dir, importId);
+  }
+
+  // Where an upload or download is written before it becomes an import
+  partFile() {
+    return path.join(this.dir, `${crypto.randomUUID()}.part`);
+  }
+
+  // Drop a part file that will not become an import
+  discard(partFile) {
+    fs.rmSync(partFile, { force: true });
+  }
+
+  // Turn a written part file into an import; returns its meta
+  adopt(partFile, { fileName, format, url = null, owner = null }) {
+    const importId = crypto.randomUUID();
+    const source = path.join(this.folder(importId), `source.${format}`);
+    fs.mkdirSync(this.folder(importId), { recursive: true });
+    fs.renameSync(partFile, source);
+
+    const meta = { importId, fileName, format, url, owner, size: fs.statSync(source).size, createdAt: new Date().toISOString() };
+    fs.writeFileSync(path.join(this.folder(importId), "meta.json"), JSON.stringify(meta, null, 2));
+    return meta;
+  }
+
+  // Meta of an import, or null
+  get(importId) {
+    if (!IMPORT_ID_PATTERN.test(String(importId))) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.folder(importId), "meta.json"), "utf8"));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async parse(importId, options = {}) {
+    const meta = this.get(importId);
+    if (!meta) throw new Error("Import not found, load the file again");
+    return parseSource(path.join(this.folder(importId), `source.${meta.format}`), meta.format, options);
+  }
+
+  // Parse in the background right after an upload; progress() follows it
+  begin(importId) {
+    const entry = { progress: { bytes: 0, size: this.get(importId)?.size ?? 0, rows: 0 }, done: false, sheet: null };
+    entry.promise = this.parse(importId, { onProgress: progress => { entry.progress = progress; } });
+    entry.promise
+      .then(result => { entry.sheet = result.sheet ?? null; }, () => {})
+      .finally(() => {
+        entry.done = true;
+        setTimeout(() => this.parsing.delete(importId), PARSED_TTL_MS).unref();
+      });
+    this.parsing.set(importId, entry);
+  }
+
+  progress(importId) {
+    return this.parsing.get(importId) ?? null;
+  }
+
+  // Rows and headers, from the background parse when it covers this sheet
+  async table(importId, { sheet = null } = {}) {
+    const entry = this.parsing.get(importId);
+    if (entry && (!sheet || (entry.done && entry.sheet === sheet))) return entry.promise;
+    return this.parse(importId, { sheet });
+  }
+
+  remove(importId) {
+    if (IMPORT_ID_PATTERN.test(importId)) fs.rmSync(this.folder(importId), { recursive: true, force: true });
+  }
+
+  // Jobs copy their rows, so an import is only needed until its job starts;
+  // part files of failed uploads go too
+  prune(cutoff) {
+    for (const entry of fs.readdirSync(this.dir)) {
+      const { mtimeMs } = fs.statSync(path.join(this.dir, entry));
+      if (mtimeMs < cutoff) fs.rmSync(path.join(this.dir, entry), { recursive: true, force: true });
+    }
+  }
+}
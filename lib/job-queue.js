@@ -0,0 +1,92 @@
+// ========================================
+// JOB QUEUE - Job slots per bot token
+// ========================================
+// A bot runs at most `maxConcurrent` jobs at once; the rest wait in line.
+// The line is ordered by priority (higher first), then by when the job was
+// created, and can be rearranged by hand. This is only bookkeeping: the job
+// manager asks tryStart() when a job wants to post and wakes the next job
+// in line after release().
+
+export class JobQueue {
+  constructor({ maxConcurrent = 1 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.waiting = []; // [{ jobId, key, priority, order }] in line order
+    this.active = new Map(); // jobId -> key
+  }
+
+  // Join the line (no-op for a job that is already in it or running)
+  enqueue(jobId, key, { priority = 0, order = Date.now() } = {}) {
+    if (this.active.has(jobId) || this.waiting.some(entry => entry.jobId === jobId)) return;
+
+    const entry = { jobId, key, priority, order };
+    const before = this.waiting.findIndex(other =>
+      other.priority < priority || (other.priority === priority && other.order > order));
+    this.waiting.splice(before === -1 ? this.waiting.length : before, 0, entry);
+  }
+
+  activeCount(key) {
+    let count = 0;
+    for (const activeKey of this.active.values()) {
+      if (activeKey === key) count++;
+    }
+    return count;
+  }
+
+  // Jobs waiting for a key, in line order
+  line(key) {
+    return this.waiting.filter(entry => entry.key === key);
+  }
+
+  // Take a slot if the job is close enough to the front; true when it runs
+  tryStart(jobId) {
+    if (this.active.has(jobId)) return true;
+
+    const entry = this.waiting.find(other => other.jobId === jobId);
+    if (!entry) return false;
+
+    const free = this.maxConcurrent - this.activeCount(entry.key);
+    if (this.line(entry.key).indexOf(entry) >= free) return false;
+
+    this.waiting.splice(this.waiting.indexOf(entry), 1);
+    this.active.set(jobId, entry.key);
+    return true;
+  }
+
+  // Give up a slot or a place in line; returns the key, or null when the
+  // job was neither running nor waiting
+  release(jobId) {
+    if (this.active.has(jobId)) {
+      const key = this.active.get(jobId);
+      this.active.delete(jobId);
+      return key;
+    }
+
+    const index = this.waiting.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return null;
+    return this.waiting.splice(index, 1)[0].key;
+  }
+
+  // 1-based place in line, or null when the job is not waiting
+  position(jobId) {
+    const entry = this.waiting.find(other => other.jobId === jobId);
+    return entry ? this.line(entry.key).indexOf(entry) + 1 : null;
+  }
+
+  // Move a waiting job to a 1-based place in its line; it takes the
+  // priority of the job it lands behind (or in front of, at the head)
+  move(jobId, position) {
+    const entry = this.waiting.find(other => other.jobId === jobId);
+    if (!entry) return false;
+
+    this.waiting.splice(this.waiting.indexOf(entry), 1);
+    const line = this.line(entry.key);
+    const target = Math.min(Math.max(Math.round(position), 1), line.length + 1) - 1;
+
+    const neighbour = line[target - 1] || line[target];
+    if (neighbour) entry.priority = neighbour.priority;
+
+    const index = target < line.length ? this.waiting.indexOf(line[target]) : this.waiting.length;
+    this.waiting.splice(index, 0, entry);
+    return true;
+  }
+}
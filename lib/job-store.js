@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+
+// ========================================
+// JOB STORE - Durable JSON-lines journal per job
+// ========================================
+// Each job lives in <dataDir>/jobs/<jobId>.jsonl. The first record holds the
+// job and its rows; later records are appended as the job progresses and are
+// replayed in order on startup:
+//   { type: "create", job, rows }
+//   { type: "update", fields }
+//   { type: "row", index, fields }
+//   { type: "log", entry }
+export class JobStore {
+  constructor(dataDir) {
+    this.dir = path.join(dataDir, "jobs");
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  file(jobId) {
+    return path.join(this.dir, `${jobId}.jsonl`);
+  }
+
+  append(jobId, record) {
+    fs.appendFileSync(this.file(jobId), JSON.stringify(record) + "\n");
+  }
+
+  create(job, rows) {
+    fs.writeFileSync(this.file(job.id), JSON.stringify({ type: "create", job, rows }) + "\n");
+  }
+
+  update(jobId, fields) {
+    this.append(jobId, { type: "update", fields });
+  }
+
+  row(jobId, index, fields) {
+    this.append(jobId, { type: "row", index, fields });
+  }
+
+  log(jobId, entry) {
+    this.append(jobId, { type: "log", entry });
+  }
+
+  remove(jobId) {
+    fs.rmSync(this.file(jobId), { force: true });
+  }
+
+  // Replay one journal into { job, rows, logs }
+  load(jobId) {
+    const lines = fs.readFileSync(this.file(jobId), "utf8").split("\n");
+    let state = null;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        // A crash can leave a half-written last line; everything before it is intact
+        continue;
+      }
+
+      if (record.type === "create") {
+        state = { job: record.job, rows: record.rows, logs: [] };
+      } else if (!state) {
+        continue;
+      } else if (record.type === "update") {
+        Object.assign(state.job, record.fields);
+      } else if (record.type === "row") {
+        Object.assign(state.rows[record.index], record.fields);
+      } else if (record.type === "log") {
+        state.logs.push(record.entry);
+      }
+    }
+
+    return state;
+  }
+
+  loadAll() {
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith(".jsonl"))
+      .map(name => {
+        const jobId = name.slice(0, -".jsonl".length);
+        try {
+          return this.load(jobId);
+        } catch (err) {
+          console.error(`Failed to load job ${jobId}:`, err.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
@@ -0,0 +1,265 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import AdmZip from "adm-zip";
+import sharp from "sharp";
+import { FormData, Blob } from "node-fetch";
+import { publicFetch } from "./safe-fetch.js";
+
+// ========================================
+// MEDIA - Uploaded ZIPs and server-side re-uploads
+// ========================================
+// Rows can name a file from a ZIP uploaded with the CSV instead of a URL, and
+// URLs Telegram cannot fetch itself are downloaded here and sent as multipart.
+
+export const MEDIA_FIELDS = ["photo", "document", "video", "animation"];
+
+const PHOTO_MAX_BYTES = 10 * 1024 * 1024; // Telegram photo limit
+const PHOTO_MAX_SIDE = 2560;
+const DOWNLOAD_MAX_BYTES = 50 * 1024 * 1024; // Bot API upload limit
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const ZIP_MAX_EXTRACTED_BYTES = 1024 * 1024 * 1024;
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const UPLOAD_META = ".upload.json"; // Who uploaded it; ZIP entries starting with "." are skipped, so no file can clash
+
+// Telegram errors meaning it could not fetch or use a URL we passed
+const REUPLOAD_ERRORS = /failed to get HTTP URL content|wrong type of the web page content|wrong file identifier\/HTTP URL|IMAGE_PROCESS_FAILED|PHOTO_INVALID_DIMENSIONS|PHOTO_SAVE_FILE_INVALID|WEBPAGE_CURL_FAILED|WEBPAGE_MEDIA_EMPTY|too big/i;
+
+export function shouldReupload(description) {
+  return REUPLOAD_ERRORS.test(description || "");
+}
+
+export function isRemoteUrl(value) {
+  return /^https?:\/\//i.test(String(value ?? ""));
+}
+
+// Google Drive share pages ("/file/d/<id>/view") -> the file itself
+export function directDownloadUrl(url) {
+  const drive = url.match(/^https:\/\/drive\.google\.com\/(?:file\/d\/|open\?id=)([\w-]+)/);
+  return drive ? `https://drive.google.com/uc?export=download&id=${drive[1]}` : url;
+}
+
+function fileKey(name) {
+  return path.basename(String(name).replace(/\\/g, "/")).toLowerCase();
+}
+
+export class MediaStore {
+  constructor(dataDir) {
+    this.dir = path.join(dataDir, "uploads");
+    this.hashes = new Map(); // file path -> sha256
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  folder(uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) throw new Error("Invalid upload ID");
+    return path.join(this.dir, uploadId);
+  }
+
+  // Unpack a ZIP into a new upload; files are matched by name, folders are ignored
+  saveZip(buffer, { owner = null } = {}) {
+    const zip = new AdmZip(buffer);
+    const entries = zip.getEntries().filter(entry => {
+      const name = path.basename(entry.entryName);
+      return !entry.isDirectory && name && !name.startsWith(".") && !entry.entryName.startsWith("__MACOSX/");
+    });
+
+    const size = entries.reduce((total, entry) => total + entry.header.size, 0);
+    if (size > ZIP_MAX_EXTRACTED_BYTES) {
+      throw new Error(`ZIP expands to ${Math.round(size / 1048576)} MB, the limit is ${ZIP_MAX_EXTRACTED_BYTES / 1048576} MB`);
+    }
+
+    const uploadId = crypto.randomUUID();
+    const dir = this.folder(uploadId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const files = [];
+    const seen = new Set();
+    for (const entry of entries) {
+      const name = path.basename(entry.entryName);
+      if (seen.has(name.toLowerCase())) continue; // First file with a name wins
+      seen.add(name.toLowerCase());
+      fs.writeFileSync(path.join(dir, name), entry.getData());
+      files.push(name);
+    }
+    fs.writeFileSync(path.join(dir, UPLOAD_META), JSON.stringify({ owner, createdAt: new Date().toISOString() }));
+
+    return { uploadId, files };
+  }
+
+  exists(uploadId) {
+    return UPLOAD_ID_PATTERN.test(uploadId) && fs.existsSync(this.folder(uploadId));
+  }
+
+  // User ID of whoever uploaded it; null for uploads from before owners were kept
+  owner(uploadId) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.folder(uploadId), UPLOAD_META), "utf8")).owner ?? null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Path of an uploaded file by name (case-insensitive), or null
+  find(uploadId, name) {
+    if (!this.exists(uploadId)) return null;
+    const key = fileKey(name);
+    const match = fs.readdirSync(this.folder(uploadId)).find(file => file.toLowerCase() === key && file !== UPLOAD_META);
+    return match ? path.join(this.folder(uploadId), match) : null;
+  }
+
+  // sha256 of an uploaded file's content, or null when it is not in the upload
+  hash(uploadId, name) {
+    const filePath = this.find(uploadId, name);
+    if (!filePath) return null;
+
+    if (!this.hashes.has(filePath)) {
+      this.hashes.set(filePath, crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex"));
+    }
+    return this.hashes.get(filePath);
+  }
+
+  remove(uploadId) {
+    if (UPLOAD_ID_PATTERN.test(uploadId)) fs.rmSync(this.folder(uploadId), { recursive: true, force: true });
+  }
+
+  // Delete uploads older than the cutoff that no job uses
+  prune(inUse, cutoff) {
+    for (const uploadId of fs.readdirSync(this.dir)) {
+      if (inUse.has(uploadId)) continue;
+      const { mtimeMs } = fs.statSync(path.join(this.dir, uploadId));
+      if (mtimeMs < cutoff) this.remove(uploadId);
+    }
+  }
+}
+
+// Resize / re-encode an image to fit Telegram's photo limits
+export async function preparePhoto(buffer) {
+  const image = sharp(buffer, { failOn: "none" })
+    .rotate()
+    .resize({ width: PHOTO_MAX_SIDE, height: PHOTO_MAX_SIDE, fit: "inside", withoutEnlargement: true })
+    .flatten({ background: "#ffffff" });
+
+  let quality = 90;
+  let output = await image.clone().jpeg({ quality, mozjpeg: true }).toBuffer();
+  while (output.length > PHOTO_MAX_BYTES && quality > 45) {
+    quality -= 15;
+    output = await image.clone().jpeg({ quality, mozjpeg: true }).toBuffer();
+  }
+  return output;
+}
+
+// Download a remote file for re-upload; hosts on private networks are refused
+export async function downloadFile(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+
+  try {
+    const response = await publicFetch(directDownloadUrl(url), { signal: controller.signal });
+    if (!response.ok) throw new Error(`Download failed with HTTP ${response.status}`);
+
+    const length = Number(response.headers.get("content-length"));
+    if (length > DOWNLOAD_MAX_BYTES) throw new Error(`File is ${Math.round(length / 1048576)} MB, the limit is 50 MB`);
+
+    // Without a Content-Length the size is only known while reading; leaving
+    // the loop early destroys the body and closes the connection
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > DOWNLOAD_MAX_BYTES) throw new Error("File is larger than 50 MB");
+      chunks.push(chunk);
+    }
+    const buffer = Buffer.concat(chunks, size);
+
+    const filename = decodeURIComponent(new URL(url).pathname.split("/").pop() || "") || "file";
+    return { buffer, filename };
+  } catch (err) {
+    throw new Error(err.name === "AbortError" ? `Download timed out: ${url}` : `${err.message}: ${url}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Replace media in a message with uploaded files: names from the job's ZIP
+// always, remote URLs too when `reupload` is set. Returns the message with
+// its payload rewritten to "attach://" references and the files to send.
+export async function attachMedia(message, { store, uploadId = null, reupload = false }) {
+  const files = { ...message.files };
+
+  const attach = async (value, kind) => {
+    let file;
+    if (isRemoteUrl(value)) {
+      if (!reupload) return value;
+      file = await downloadFile(value);
+    } else {
+      const filePath = uploadId ? store.find(uploadId, value) : null;
+      if (!filePath) {
+        if (uploadId && /\.\w{2,5}$/.test(value)) throw new Error(`"${value}" is not in the uploaded ZIP`);
+        return value; // A file_id or tg: link, Telegram resolves it
+      }
+      file = { buffer: fs.readFileSync(filePath), filename: path.basename(filePath) };
+    }
+
+    if (kind === "photo") {
+      file = { buffer: await preparePhoto(file.buffer), filename: file.filename.replace(/\.\w+$/, "") + ".jpg" };
+    }
+
+    const name = `file${Object.keys(files).length}`;
+    files[name] = file;
+    return `attach://${name}`;
+  };
+
+  const values = [];
+  for (const slot of mediaSlots(message.payload)) values.push(await attach(slot.value, slot.kind));
+
+  return { ...message, payload: withMedia(message.payload, values), files };
+}
+
+// Media values of a payload in a fixed order: its media field or album items
+export function mediaSlots(payload) {
+  const slots = MEDIA_FIELDS.filter(field => payload[field]).map(field => ({ kind: field, value: payload[field] }));
+  for (const item of payload.media || []) slots.push({ kind: item.type, value: item.media });
+  return slots;
+}
+
+// Payload with its media slots set to new values (same order as mediaSlots)
+export function withMedia(payload, values) {
+  const result = { ...payload };
+  let next = 0;
+  for (const field of MEDIA_FIELDS) {
+    if (result[field]) result[field] = values[next++];
+  }
+  if (result.media) result.media = result.media.map(item => ({ ...item, media: values[next++] }));
+  return result;
+}
+
+// file_ids Telegram returned for each media slot of a sent message
+export function sentFileIds(result) {
+  return (Array.isArray(result) ? result : [result]).map(sent => {
+    if (sent?.photo?.length) return sent.photo[sent.photo.length - 1].file_id; // Largest size
+    return (sent?.animation || sent?.video || sent?.document)?.file_id || null;
+  });
+}
+
+// Request body for a Telegram call: JSON, or multipart when files are attached
+export function requestBody(fields, files = {}) {
+  if (Object.keys(files).length === 0) {
+    return { headers: { "Content-Type": "application/json" }, body: JSON.stringify(fields) };
+  }
+
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    form.append(key, typeof value === "object" ? JSON.stringify(value) : String(value));
+  }
+  for (const [name, file] of Object.entries(files)) {
+    form.append(name, new Blob([file.buffer]), file.filename);
+  }
+  return { body: form };
+}
+
+// True when a message still points Telegram at remote URLs
+export function hasRemoteMedia(message) {
+  return mediaSlots(message.payload).some(slot => isRemoteUrl(slot.value));
+}
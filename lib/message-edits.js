@@ -0,0 +1,48 @@
+// ========================================
+// MESSAGE EDITS - Bot API calls that change or remove posted messages
+// ========================================
+// Sent deliveries keep the message_ids Telegram returned (several for an
+// album) and the type they were posted as. Edit jobs compose the row again
+// with that type and turn it into edit calls; delete jobs remove every id.
+
+// message_ids of a sendX / sendMediaGroup result
+export function sentMessageIds(result) {
+  return (Array.isArray(result) ? result : [result]).map(sent => sent?.message_id).filter(Boolean);
+}
+
+// Calls that make the messages at messageIds match a freshly composed
+// message. Captions (or text) and keyboards are always updated; media only
+// when editMedia is set.
+export function editCalls(message, messageIds, { editMedia = false } = {}) {
+  const { type, payload } = message;
+  const formatted = { caption: message.caption, parse_mode: payload.parse_mode ?? payload.media?.[0]?.parse_mode };
+  const markup = payload.reply_markup && { reply_markup: payload.reply_markup };
+
+  if (type === "text") {
+    const { text, parse_mode, link_preview_options } = payload;
+    return [{
+      method: "editMessageText",
+      fields: { message_id: messageIds[0], text, parse_mode, link_preview_options, ...markup }
+    }];
+  }
+
+  if (type === "album") {
+    if (!editMedia) {
+      return [{ method: "editMessageCaption", fields: { message_id: messageIds[0], ...formatted } }];
+    }
+    // Album items are separate messages; extra items have nothing to replace
+    return payload.media.slice(0, messageIds.length).map((item, index) => ({
+      method: "editMessageMedia",
+      fields: { message_id: messageIds[index], media: item }
+    }));
+  }
+
+  if (editMedia) {
+    return [{
+      method: "editMessageMedia",
+      fields: { message_id: messageIds[0], media: { type, media: payload[type], ...formatted }, ...markup }
+    }];
+  }
+
+  return [{ method: "editMessageCaption", fields: { message_id: messageIds[0], ...formatted, ...markup } }];
+}
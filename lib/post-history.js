@@ -0,0 +1,93 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// ========================================
+// POST HISTORY - What has already been posted to each destination
+// ========================================
+// Every successful post is appended to <dataDir>/post-history.jsonl as
+//   { destination, item, jobId, row, postedAt }
+// where destination is a destinationKey() and item identifies the content:
+// "<column>=<value>" for a chosen column, or "sha256:<hash>" of the caption
+// and media. The latest record per destination + item wins on load.
+// Deleting a post appends { destination, item, jobId, row, removedAt }, which
+// drops the entry again so the item can be posted anew.
+
+export const DEDUP_MODES = ["skip", "warn", "force"];
+
+export const DEFAULT_DEDUP = { mode: "skip", column: null };
+
+// Validate a job's dedup option; column null means a content hash
+export function normalizeDedup(input) {
+  if (input === undefined || input === null) return DEFAULT_DEDUP;
+
+  const mode = input.mode ?? DEFAULT_DEDUP.mode;
+  if (!DEDUP_MODES.includes(mode)) {
+    throw new Error(`Duplicate handling must be one of: ${DEDUP_MODES.join(", ")}`);
+  }
+
+  const column = String(input.column ?? "").trim();
+  return { mode, column: column || null };
+}
+
+// What identifies a row's content, or null when its key column is empty
+export function itemKey(row, dedup, { caption = "", media = [] } = {}) {
+  if (dedup.column) {
+    const value = String(row[dedup.column] ?? "").trim();
+    return value ? `${dedup.column}=${value}` : null;
+  }
+
+  const hash = crypto.createHash("sha256").update(JSON.stringify([caption, ...media])).digest("hex");
+  return `sha256:${hash}`;
+}
+
+export class PostHistory {
+  constructor(dataDir) {
+    this.file = path.join(dataDir, "post-history.jsonl");
+    this.posts = new Map(); // "destination|item" -> record
+
+    let lines = [];
+    try {
+      lines = fs.readFileSync(this.file, "utf8").split("\n");
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error("Failed to load post history:", err.message);
+    }
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        const key = `${record.destination}|${record.item}`;
+        if (record.removedAt) this.posts.delete(key);
+        else this.posts.set(key, record);
+      } catch (e) {
+        // A crash can leave a half-written last line
+      }
+    }
+  }
+
+  get size() {
+    return this.posts.size;
+  }
+
+  // The earlier post of an item to a destination, or null
+  find(destination, item) {
+    return this.posts.get(`${destination}|${item}`) || null;
+  }
+
+  record(destination, item, { jobId, row }) {
+    const record = { destination, item, jobId, row, postedAt: new Date().toISOString() };
+    this.posts.set(`${destination}|${item}`, record);
+    fs.appendFileSync(this.file, JSON.stringify(record) + "\n");
+  }
+
+  // Drop what a job row posted to a destination, after its messages were deleted
+  forget(destination, { jobId, row }) {
+    for (const [key, record] of this.posts) {
+      if (record.destination !== destination || record.jobId !== jobId || record.row !== row) continue;
+      this.posts.delete(key);
+      const removed = { destination, item: record.item, jobId, row, removedAt: new Date().toISOString() };
+      fs.appendFileSync(this.file, JSON.stringify(removed) + "\n");
+    }
+  }
+}
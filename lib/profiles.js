@@ -0,0 +1,124 @@
+import fs from "fs";
+import path from "path";
+import { compileTemplate, PARSE_MODES } from "../public/shared/template.js";
+import { MESSAGE_TYPES } from "../public/shared/message.js";
+import { parseDestinations, destinationKey } from "../public/shared/destinations.js";
+import { normalizeAlias } from "../public/shared/credentials.js";
+
+// ========================================
+// PROFILES - Named bot + channel setups with their own defaults
+// ========================================
+// A profile names a bot from the credential vault and what a job started
+// with it uses unless the request says otherwise: destinations, caption
+// template, parse mode, message type, column mapping and rate limits.
+// Saved to <dataDir>/profiles.json. BOT_TOKEN / CHANNEL_ID from the
+// environment are the built-in "default" profile until one is saved under
+// that name.
+
+// Telegram's ceilings; a profile can only go slower
+const MAX_GLOBAL_PER_SECOND = 30;
+const MAX_CHAT_PER_MINUTE = 20; // Groups and channels, same as the server default
+
+function rate(value, max, label) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > max) {
+    throw new Error(`${label} must be a number above 0 and at most ${max}`);
+  }
+  return number;
+}
+
+// Validate a profile from the API; returns the stored shape
+export function normalizeProfile(name, input = {}) {
+  const profile = { name: normalizeAlias(name), bot: normalizeAlias(input.bot || "default") };
+
+  const { destinations, invalid } = parseDestinations(input.destinations ?? []);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid destinations: ${invalid.join(", ")}`);
+  }
+  profile.destinations = destinations.map(destinationKey);
+
+  if (input.template !== undefined && input.template !== null) {
+    compileTemplate(String(input.template));
+    profile.template = String(input.template);
+  }
+
+  if (input.parseMode) {
+    if (!PARSE_MODES.includes(input.parseMode)) throw new Error(`Unsupported parse mode: ${input.parseMode}`);
+    profile.parseMode = input.parseMode;
+  }
+
+  if (input.messageType) {
+    if (!MESSAGE_TYPES.includes(input.messageType)) throw new Error(`Unsupported message type: ${input.messageType}`);
+    profile.messageType = input.messageType;
+  }
+
+  if (input.mapping !== undefined && input.mapping !== null) {
+    if (typeof input.mapping !== "object" || Array.isArray(input.mapping)) {
+      throw new Error("Mapping must be an object of field → column");
+    }
+    // Columns per field, and lists such as the trusted (unescaped) columns
+    profile.mapping = Object.fromEntries(Object.entries(input.mapping)
+      .filter(([, column]) => column !== null && column !== "")
+      .map(([field, column]) => [field, Array.isArray(column) ? column.map(String) : String(column)]));
+  }
+
+  const rates = {
+    globalPerSecond: rate(input.rates?.globalPerSecond, MAX_GLOBAL_PER_SECOND, "Messages per second"),
+    chatPerMinute: rate(input.rates?.chatPerMinute, MAX_CHAT_PER_MINUTE, "Messages per minute per chat")
+  };
+  if (rates.globalPerSecond || rates.chatPerMinute) {
+    profile.rates = Object.fromEntries(Object.entries(rates).filter(([, value]) => value));
+  }
+
+  return profile;
+}
+
+export class ProfileStore {
+  constructor(dataDir, { envProfile = null } = {}) {
+    this.file = path.join(dataDir, "profiles.json");
+    this.envProfile = envProfile;
+    this.profiles = Object.create(null); // Names like "__proto__" are plain keys
+
+    try {
+      Object.assign(this.profiles, JSON.parse(fs.readFileSync(this.file, "utf8")));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error("Failed to load profiles:", err.message);
+    }
+  }
+
+  get(name) {
+    if (Object.hasOwn(this.profiles, name)) return this.profiles[name];
+    return name === "default" && this.envProfile ? { ...this.envProfile, source: "env" } : null;
+  }
+
+  list() {
+    const saved = Object.values(this.profiles);
+    const env = this.envProfile && !Object.hasOwn(this.profiles, "default") ? [{ ...this.envProfile, source: "env" }] : [];
+    return [...env, ...saved];
+  }
+
+  save(profile, updatedBy = null) {
+    this.profiles[profile.name] = { ...profile, updatedBy, updatedAt: new Date().toISOString() };
+    this.write();
+    return this.profiles[profile.name];
+  }
+
+  remove(name) {
+    if (!Object.hasOwn(this.profiles, name)) return false;
+    delete this.profiles[name];
+    this.write();
+    return true;
+  }
+
+  // Profiles that would break if this bot alias went away
+  usingBot(alias) {
+    return Object.values(this.profiles).filter(profile => profile.bot === alias).map(profile => profile.name);
+  }
+
+  write() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.profiles, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
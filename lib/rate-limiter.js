@@ -0,0 +1,147 @@
+// ========================================
+// RATE LIMITER - Shared Bot API budget for every job
+// ========================================
+// Telegram allows a bot about 30 messages per second overall and 20 per
+// minute in one group or channel (and no more than one per second there).
+// Every call a job makes first acquires from a bucket for its bot and from
+// one for the chat, so jobs sharing a token or a chat queue up instead of
+// running into 429s. Buckets are GCRA token buckets: each tracks the time
+// its next token is free, and acquire() reserves a token and resolves once
+// the reservation is due.
+//
+// After a 429 the chat's rate is halved and it pauses for retry_after;
+// every success then speeds it up by 10% until it is back at the base rate.
+//
+// A job can ask for lower rates than the defaults (bot profiles do); the
+// buckets take the rates of the latest acquire() for that bot or chat.
+
+const IDLE_MS = 10 * 60 * 1000; // Forget buckets unused this long
+const MAX_SLOWDOWN = 8; // A penalized chat never drops below 1/8 of its base rate
+
+class Bucket {
+  constructor(perSecond, burst) {
+    this.baseInterval = 1000 / perSecond;
+    this.interval = this.baseInterval;
+    this.burst = burst;
+    this.tat = 0; // Theoretical arrival time of the next token
+    this.usedAt = 0;
+  }
+
+  // Reserve a token; returns how long to wait before using it
+  reserve(now) {
+    const tat = Math.max(this.tat, now);
+    const wait = Math.max(tat - (this.burst - 1) * this.interval - now, 0);
+    this.tat = tat + this.interval;
+    this.usedAt = now;
+    return wait;
+  }
+
+  // No token before now + pauseMs, even one saved up as burst
+  slowDown(now, pauseMs) {
+    this.interval = Math.min(this.interval * 2, this.baseInterval * MAX_SLOWDOWN);
+    this.tat = Math.max(this.tat, now + pauseMs + (this.burst - 1) * this.interval);
+  }
+
+  speedUp() {
+    this.interval = Math.max(this.interval * 0.9, this.baseInterval);
+  }
+
+  // Change the base rate, keeping any slowdown from a 429 in proportion
+  retune(perSecond, burst = this.burst) {
+    const baseInterval = 1000 / perSecond;
+    this.burst = burst;
+    if (baseInterval === this.baseInterval) return;
+
+    this.interval = this.interval / this.baseInterval * baseInterval;
+    this.baseInterval = baseInterval;
+  }
+}
+
+export class RateLimiter {
+  constructor({ globalPerSecond = 30, chatPerMinute = 20, chatBurst = 3 } = {}) {
+    this.globalPerSecond = globalPerSecond;
+    this.chatPerMinute = chatPerMinute;
+    this.chatBurst = chatBurst;
+    this.bots = new Map(); // botId -> Bucket
+    this.chats = new Map(); // "botId:chatId" -> { rate: Bucket, spacing: Bucket }
+  }
+
+  // Tokens are secrets; buckets are keyed by the bot ID before the ":"
+  static botId(token) {
+    return String(token).split(":")[0];
+  }
+
+  bot(token) {
+    const botId = RateLimiter.botId(token);
+    if (!this.bots.has(botId)) {
+      this.bots.set(botId, new Bucket(this.globalPerSecond, this.globalPerSecond));
+    }
+    return this.bots.get(botId);
+  }
+
+  chat(token, chatId) {
+    const key = `${RateLimiter.botId(token)}:${chatId}`;
+    if (!this.chats.has(key)) {
+      this.chats.set(key, {
+        rate: new Bucket(this.chatPerMinute / 60, this.chatBurst),
+        spacing: new Bucket(1, 1) // At most one message per second
+      });
+    }
+    return this.chats.get(key);
+  }
+
+  // Resolves when this bot may make one more call to the chat
+  acquire(token, chatId, { globalPerSecond = this.globalPerSecond, chatPerMinute = this.chatPerMinute } = {}) {
+    const now = Date.now();
+    const bot = this.bot(token);
+    const chat = this.chat(token, chatId);
+    bot.retune(globalPerSecond, Math.max(Math.floor(globalPerSecond), 1));
+    chat.rate.retune(chatPerMinute / 60);
+
+    const wait = Math.max(
+      bot.reserve(now),
+      chat.rate.reserve(now),
+      chat.spacing.reserve(now)
+    );
+
+    this.prune(now);
+    return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : Promise.resolve();
+  }
+
+  // A call succeeded: recover speed after an earlier 429
+  success(token, chatId) {
+    this.chat(token, chatId).rate.speedUp();
+  }
+
+  // Telegram answered 429: pause the chat for retryAfter seconds and halve its rate
+  limited(token, chatId, retryAfter) {
+    this.chat(token, chatId).rate.slowDown(Date.now(), retryAfter * 1000);
+  }
+
+  prune(now) {
+    for (const [key, chat] of this.chats) {
+      if (now - chat.rate.usedAt > IDLE_MS && chat.rate.tat < now) this.chats.delete(key);
+    }
+  }
+
+  // Current rates for /api/health
+  status() {
+    const now = Date.now();
+    const perMinute = bucket => Math.round(60000 / bucket.interval * 10) / 10;
+
+    return {
+      globalPerSecond: this.globalPerSecond,
+      chatPerMinute: this.chatPerMinute,
+      chats: [...this.chats].map(([key, { rate }]) => {
+        const [bot, ...chatId] = key.split(":");
+        return {
+          bot,
+          chat: chatId.join(":"),
+          perMinute: perMinute(rate),
+          slowedDown: rate.interval > rate.baseInterval,
+          waitMs: Math.max(rate.tat - now - rate.interval * (rate.burst - 1), 0)
+        };
+      })
+    };
+  }
+}
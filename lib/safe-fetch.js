@@ -0,0 +1,102 @@
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
+import fetch from "node-fetch";
+
+// ========================================
+// SAFE FETCH - Downloads from links that users typed in
+// ========================================
+// Import URLs and media URLs come from users, so the server must not be
+// pointed at itself or the network it sits in. Every hop of a redirect is
+// checked, and the agents resolve host names through a lookup that refuses
+// loopback, private, link-local and unique-local addresses, so a name that
+// resolves differently on the second lookup is caught too.
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, cloud metadata
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 3] // Multicast and reserved, up to 255.255.255.255
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv4"));
+// IPv4-mapped addresses (::ffff:127.0.0.1) are matched by the IPv4 rules
+[
+  ["::", 128], // Unspecified
+  ["::1", 128], // Loopback
+  ["64:ff9b::", 96], // IPv4/IPv6 translation
+  ["fc00::", 7], // Unique-local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8] // Multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv6"));
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// dns.lookup that fails when any address of the name is not public
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(`${hostname} points to a private network address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  "http:": new http.Agent({ lookup: publicLookup }),
+  "https:": new https.Agent({ lookup: publicLookup })
+};
+
+// Throws unless the URL is http(s) on a public host
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new Error("That is not a valid URL");
+  }
+  if (!/^https?:$/.test(parsed.protocol)) throw new Error("Only http and https links can be downloaded");
+
+  // IP literals skip the lookup, so they are checked here
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`${parsed.hostname} is a private network address`);
+  }
+  return parsed;
+}
+
+// fetch() for a user-supplied URL: follows up to MAX_REDIRECTS redirects,
+// checking each one
+export async function publicFetch(url, options = {}) {
+  let current = checkUrl(url).href;
+
+  for (let hops = 0; ; hops++) {
+    const response = await fetch(current, {
+      ...options,
+      redirect: "manual",
+      agent: parsedUrl => agents[parsedUrl.protocol]
+    });
+
+    const location = response.headers.get("location");
+    if (!REDIRECT_STATUSES.has(response.status) || !location) return response;
+    if (hops >= MAX_REDIRECTS) throw new Error("Too many redirects");
+
+    response.body?.resume?.();
+    current = checkUrl(new URL(location, current).href).href;
+  }
+}
@@ -0,0 +1,123 @@
+// ========================================
+// SCHEDULE - Delayed starts and drip-feed posting windows
+// ========================================
+// A job schedule looks like:
+//   {
+//     startAt: "2026-01-01T09:00:00.000Z",   // optional, ISO time
+//     drip: {                                  // optional
+//       intervalMinutes: 20,
+//       windowStart: "09:00",
+//       windowEnd: "22:00",
+//       timeZone: "Asia/Dhaka"
+//     }
+//   }
+
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+function parseTimeOfDay(value, label) {
+  const match = String(value).match(TIME_PATTERN);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || minutes > 1440) {
+    throw new Error(`${label} must be HH:MM, got "${value}"`);
+  }
+  return minutes;
+}
+
+// Minutes since local midnight of a timestamp in the given time zone
+function localMinutes(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(new Date(timestamp));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get("hour") * 60 + get("minute");
+}
+
+function inWindow(minutes, start, end) {
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end; // window wraps past midnight
+}
+
+// Validate user input and return a clean schedule (or null for "send now")
+export function normalizeSchedule(input) {
+  if (!input) return null;
+
+  const schedule = { startAt: null, drip: null };
+
+  if (input.startAt) {
+    const time = Date.parse(input.startAt);
+    if (Number.isNaN(time)) throw new Error(`Invalid start time "${input.startAt}"`);
+    schedule.startAt = new Date(time).toISOString();
+  }
+
+  if (input.drip) {
+    const {
+      intervalMinutes,
+      windowStart = "00:00",
+      windowEnd = "24:00",
+      timeZone = "UTC"
+    } = input.drip;
+
+    const interval = Number(intervalMinutes);
+    if (!Number.isFinite(interval) || interval <= 0) {
+      throw new Error("Drip interval must be a positive number of minutes");
+    }
+
+    const start = parseTimeOfDay(windowStart, "Window start");
+    const end = parseTimeOfDay(windowEnd, "Window end");
+    if (start === end) throw new Error("Drip window start and end must differ");
+
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+    } catch (e) {
+      throw new Error(`Unknown time zone "${timeZone}"`);
+    }
+
+    schedule.drip = { intervalMinutes: interval, windowStart, windowEnd, timeZone };
+  }
+
+  return schedule.startAt || schedule.drip ? schedule : null;
+}
+
+// Earliest timestamp at or after `from` that falls inside the drip window
+function nextInWindow(from, drip) {
+  const start = parseTimeOfDay(drip.windowStart, "Window start");
+  const end = parseTimeOfDay(drip.windowEnd, "Window end");
+  const minutes = localMinutes(from, drip.timeZone);
+
+  if (inWindow(minutes, start, end)) return from;
+
+  const date = new Date(from);
+  const minuteStart = from - (date.getUTCSeconds() * 1000 + date.getUTCMilliseconds());
+  let candidate = minuteStart + ((start - minutes + 1440) % 1440) * 60000;
+
+  // Correct once for a DST change between now and the window opening
+  const drift = start - localMinutes(candidate, drip.timeZone);
+  if (drift !== 0 && Math.abs(drift) < 180) candidate += drift * 60000;
+
+  return candidate;
+}
+
+// When the next row may be posted, given the last successful post
+export function nextSlot(schedule, lastSentAt = null, now = Date.now()) {
+  if (!schedule) return now;
+
+  let at = now;
+  if (schedule.startAt) at = Math.max(at, Date.parse(schedule.startAt));
+
+  if (!schedule.drip) return at;
+
+  if (lastSentAt) at = Math.max(at, lastSentAt + schedule.drip.intervalMinutes * 60000);
+  return nextInWindow(at, schedule.drip);
+}
+
+export function formatSlot(timestamp, timeZone) {
+  return new Date(timestamp).toLocaleString("en-GB", {
+    timeZone: timeZone || undefined,
+    dateStyle: "medium",
+    timeStyle: "short"
+  }) + (timeZone ? ` (${timeZone})` : "");
+}
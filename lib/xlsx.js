@@ -0,0 +1,145 @@
+import AdmZip from "adm-zip";
+import path from "path";
+import { excelDate, excelNumber } from "../public/shared/importers.js";
+
+// ========================================
+// XLSX - Reads the cells of an Excel workbook
+// ========================================
+// An .xlsx file is a ZIP of XML parts: xl/workbook.xml lists the sheets,
+// xl/_rels/workbook.xml.rels says which part holds each one, and text lives
+// in xl/sharedStrings.xml. Only values are read; formulas come back as their
+// cached result and date cells as "YYYY-MM-DD" (with " HH:MM" when they have
+// a time).
+
+// Built-in number formats that show dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/_x([0-9A-F]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function attributes(tag) {
+  return Object.fromEntries([...tag.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, name, value]) => [name, decodeXml(value)]));
+}
+
+// Text of <t> runs, leaving out phonetic hints (<rPh>)
+function richText(xml) {
+  return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+    .map(([, text]) => decodeXml(text))
+    .join("");
+}
+
+// "BC12" -> 54 (zero-based column)
+function columnIndex(ref) {
+  let index = 0;
+  for (const letter of ref.replace(/\d+$/, "")) index = index * 26 + letter.charCodeAt(0) - 64;
+  return index - 1;
+}
+
+function isDateFormat(id, code) {
+  if (DATE_FORMAT_IDS.has(id)) return true;
+  if (!code) return false;
+  // Quoted text and [colors] / [$-locale] do not count
+  return /[dmyhs]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, "")) && !/^general$/i.test(code);
+}
+
+export class Workbook {
+  constructor(buffer) {
+    try {
+      this.zip = new AdmZip(buffer);
+    } catch (err) {
+      throw new Error("Not an Excel workbook (.xlsx)");
+    }
+
+    const workbook = this.part("xl/workbook.xml");
+    if (!workbook) throw new Error("Not an Excel workbook (.xlsx)");
+
+    const targets = Object.fromEntries([...(this.part("xl/_rels/workbook.xml.rels") ?? "").matchAll(/<Relationship\b[^>]*>/g)]
+      .map(([tag]) => attributes(tag))
+      .map(({ Id, Target }) => [Id, Target.startsWith("/") ? Target.slice(1) : path.posix.join("xl", Target)]));
+
+    this.sheets = [...workbook.matchAll(/<sheet\b[^>]*>/g)]
+      .map(([tag]) => attributes(tag))
+      .filter(sheet => sheet.state !== "hidden" && sheet.state !== "veryHidden")
+      .map(sheet => ({ name: sheet.name, part: targets[sheet["r:id"]] }))
+      .filter(sheet => sheet.part);
+
+    this.strings = [...(this.part("xl/sharedStrings.xml") ?? "").matchAll(/<si>([\s\S]*?)<\/si>/g)]
+      .map(([, item]) => richText(item));
+
+    this.dateStyles = this.readDateStyles();
+  }
+
+  part(name) {
+    const entry = this.zip.getEntry(name);
+    return entry ? entry.getData().toString("utf8") : null;
+  }
+
+  get sheetNames() {
+    return this.sheets.map(sheet => sheet.name);
+  }
+
+  // Style indexes (the s="" of a cell) whose number format is a date
+  readDateStyles() {
+    const styles = this.part("xl/styles.xml") ?? "";
+    const codes = Object.fromEntries([...styles.matchAll(/<numFmt\b[^>]*>/g)]
+      .map(([tag]) => attributes(tag))
+      .map(({ numFmtId, formatCode }) => [Number(numFmtId), formatCode]));
+
+    const cellXfs = styles.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] ?? "";
+    const dates = new Set();
+    [...cellXfs.matchAll(/<xf\b[^>]*>/g)].forEach(([tag], index) => {
+      const id = Number(attributes(tag).numFmtId ?? 0);
+      if (isDateFormat(id, codes[id])) dates.add(index);
+    });
+    return dates;
+  }
+
+  cellValue(attrs, body) {
+    const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+    switch (attrs.t) {
+      case "s":
+        return this.strings[Number(value)] ?? "";
+      case "inlineStr":
+        return richText(body);
+      case "b":
+        return value === "1" ? "TRUE" : "FALSE";
+      case "str":
+      case "e":
+      case "d":
+        return value === undefined ? "" : decodeXml(value);
+      default:
+        if (value === undefined || value === "") return "";
+        return this.dateStyles.has(Number(attrs.s)) ? excelDate(Number(value)) : excelNumber(value);
+    }
+  }
+
+  // The cells of a sheet (the first when no name is given) as rows of strings
+  readSheet(name) {
+    const sheet = name ? this.sheets.find(candidate => candidate.name === name) : this.sheets[0];
+    if (!sheet) throw new Error(name ? `No sheet named "${name}"` : "The workbook has no sheets");
+
+    const xml = this.part(sheet.part) ?? "";
+    const grid = [];
+    for (const [, rowAttrs, rowBody = ""] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const rowNumber = Number(attributes(rowAttrs).r) || grid.length + 1;
+      const cells = [];
+      for (const [, cellAttrs, cellBody = ""] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attrs = attributes(cellAttrs);
+        const index = attrs.r ? columnIndex(attrs.r) : cells.length;
+        cells[index] = this.cellValue(attrs, cellBody);
+      }
+      grid[rowNumber - 1] = Array.from(cells, cell => cell ?? "");
+    }
+    return Array.from(grid, cells => cells ?? []);
+  }
+}
@@ -0,0 +1,110 @@
+-- ========================================
+-- Cloud jobs - tables the browser and the InsForge functions share
+-- ========================================
+-- Run once in the InsForge SQL editor. Safe to run again, and on a project
+-- made before bot aliases, sign-in and delivery tracking: missing tables and
+-- columns are added, existing ones are left alone.
+--
+-- Every row belongs to the signed-in user who made it (owner). The
+-- functions act with the caller's session, so these policies are what keep
+-- one user's jobs and bots away from another.
+
+create extension if not exists pgcrypto;
+
+-- ----------------------------------------
+-- jobs: one send job, with its settings and running totals
+-- ----------------------------------------
+create table if not exists jobs (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'uploading',
+  total integer not null default 0,
+  sent integer not null default 0,
+  failed integer not null default 0,
+  current integer not null default 0,
+  mapping jsonb,
+  channel_id text,
+  bot_token text, -- Jobs from before bot aliases; new jobs leave it empty
+  created_at timestamptz not null default now()
+);
+
+alter table jobs add column if not exists owner uuid default auth.uid();
+alter table jobs add column if not exists bot text not null default 'default';
+alter table jobs add column if not exists template text;
+alter table jobs add column if not exists parse_mode text not null default 'HTML';
+alter table jobs add column if not exists message_type text not null default 'auto';
+alter table jobs add column if not exists keyboard jsonb;
+alter table jobs add column if not exists destinations jsonb; -- [{ chatId, threadId }]
+alter table jobs add column if not exists destination_stats jsonb; -- { "<chat>[:<thread>]": { chatId, threadId, sent, failed } }
+alter table jobs add column if not exists file_name text;
+alter table jobs add column if not exists updated_at timestamptz not null default now();
+alter table jobs add column if not exists end_time timestamptz;
+
+-- 'uploading' while the browser inserts rows, 'pending' once they are all in
+alter table jobs drop constraint if exists jobs_status_check;
+alter table jobs add constraint jobs_status_check
+  check (status in ('uploading', 'pending', 'running', 'paused', 'stopped', 'completed', 'failed'));
+
+create index if not exists jobs_owner_created_at_idx on jobs (owner, created_at desc);
+
+-- ----------------------------------------
+-- job_rows: one CSV row of a job and where it was posted
+-- ----------------------------------------
+create table if not exists job_rows (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid not null references jobs (id) on delete cascade,
+  row_index integer not null,
+  data jsonb not null,
+  status text not null default 'pending'
+);
+
+alter table job_rows add column if not exists deliveries jsonb; -- [{ chatId, threadId, status, error }]
+alter table job_rows add column if not exists claimed_at timestamptz; -- When an invocation took the row; expires after 5 minutes
+alter table job_rows add column if not exists error text;
+
+-- 'processing' while an invocation holds the row
+alter table job_rows drop constraint if exists job_rows_status_check;
+alter table job_rows add constraint job_rows_status_check
+  check (status in ('pending', 'processing', 'sent', 'failed'));
+
+create index if not exists job_rows_job_id_status_idx on job_rows (job_id, status, row_index);
+
+-- ----------------------------------------
+-- bot_credentials: bot tokens saved by the save-credential function
+-- ----------------------------------------
+-- token is sealed with the CREDENTIALS_KEY secret ("v1.<iv>.<ciphertext>"),
+-- so reading the row does not give the token away.
+create table if not exists bot_credentials (
+  id uuid primary key default gen_random_uuid(),
+  owner uuid not null default auth.uid(),
+  alias text not null,
+  bot_id text not null,
+  username text,
+  token text not null,
+  created_at timestamptz not null default now(),
+  unique (owner, alias)
+);
+
+-- ----------------------------------------
+-- Row level security: each user sees and changes only their own rows
+-- ----------------------------------------
+alter table jobs enable row level security;
+alter table job_rows enable row level security;
+alter table bot_credentials enable row level security;
+
+drop policy if exists jobs_owner on jobs;
+create policy jobs_owner on jobs
+  for all to authenticated
+  using (owner = auth.uid())
+  with check (owner = auth.uid());
+
+drop policy if exists job_rows_owner on job_rows;
+create policy job_rows_owner on job_rows
+  for all to authenticated
+  using (exists (select 1 from jobs where jobs.id = job_rows.job_id and jobs.owner = auth.uid()))
+  with check (exists (select 1 from jobs where jobs.id = job_rows.job_id and jobs.owner = auth.uid()));
+
+drop policy if exists bot_credentials_owner on bot_credentials;
+create policy bot_credentials_owner on bot_credentials
+  for all to authenticated
+  using (owner = auth.uid())
+  with check (owner = auth.uid());
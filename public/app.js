@@ -1,19 +1,47 @@
 // ========================================
-// Template-Sender-TG - Application Logic (Cloud Version)
+// Template-Sender-TG - Application Logic (Cloud & Server)
 // ========================================
 
 import { createClient } from 'https://esm.sh/@insforge/sdk@latest';
+import { DEFAULT_TEMPLATES, compileTemplate, renderCaption } from "./shared/template.js";
+import { checkCaption } from "./shared/telegram-format.js";
+import { validateRows, buildValidationReport, uploadedFileKey } from "./shared/validate.js";
+import { isSafeUrl, escapeHtmlAttribute } from "./shared/escape.js";
+import { parseDestinations, formatDestination, destinationKey, rowDestinations } from "./shared/destinations.js";
+import { resolveMessageType, buildMessage, messageKeyboard, messageLimit, splitUrls } from "./shared/message.js";
+import { normalizeKeyboard, DEFAULT_KEYBOARD } from "./shared/keyboard.js";
+import { importFormat, IMPORT_EXTENSIONS, sheetCsvUrl, tableFromGrid, parseJsonTable, parseJsonLines, excelDate, excelNumber } from "./shared/importers.js";
 
 const params = new URLSearchParams(window.location.search);
 const offlineMode = params.get("offline") === "true"; // Allow forcing offline mode for testing
 
 // State
 let client = null;
+let runMode = "cloud"; // "cloud" (InsForge function) or "server" (Express JobManager)
+let eventSource = null;
 let rows = [];
 let headers = [];
+let upload = null; // ZIP uploaded to the server: { uploadId, files, name }
+let imported = null; // File parsed by the server: { importId, sheet }
+let workbook = null; // XLSX parsed in the browser, kept to switch sheets
 let currentJobId = null;
+let lastJobId = null; // Most recent finished job, for follow-up actions
+let postedJobId = null; // Most recent server send job that posted messages
 let pollInterval = null;
-let defaultCredentials = { botToken: "", channelId: "" };
+let currentUser = null;
+let cloudUser = null; // InsForge user that cloud jobs run as
+let loginTarget = "server"; // What the sign-in card signs in to: "server" or "cloud"
+let profiles = []; // Bot profiles saved on the server
+let defaultCredentials = { bots: [], channelId: "" }; // Bot tokens never leave the server
+let previewIndex = 0;
+let validation = null;
+
+const PREVIEW_LIMIT = 25; // Rows the preview pane pages through
+const IMPORT_POLL_MS = 500; // How often the server's parse progress is read
+const VALIDATION_TABLE_LIMIT = 500; // Rows with issues rendered in the table
+// Cells a spreadsheet would run as a formula, as in the server's CSV export:
+// a "-" is only left alone on a plain number
+const FORMULA_CELL = /^(?:[=+@\t\r]|-(?!\d+(?:\.\d+)?$))/;
 
 // DOM Elements
 const csvInput = document.getElementById("csv");
@@ -21,16 +49,74 @@ const uploadZone = document.getElementById("uploadZone");
 const fileInfo = document.getElementById("fileInfo");
 const fileName = document.getElementById("fileName");
 const fileMeta = document.getElementById("fileMeta");
+const zipInput = document.getElementById("zip");
+const zipMeta = document.getElementById("zipMeta");
+const sheetSelect = document.getElementById("sheetSelect");
+const sourceUrl = document.getElementById("sourceUrl");
 const mappingDiv = document.getElementById("mapping");
 const sendBtn = document.getElementById("sendBtn");
+const pauseBtn = document.getElementById("pauseBtn");
+const retryBtn = document.getElementById("retryBtn");
+const historyList = document.getElementById("historyList");
+const historyDetail = document.getElementById("historyDetail");
+const historyDetailBody = document.getElementById("historyDetailBody");
+const exportLinks = document.getElementById("exportLinks");
+const editPostedBtn = document.getElementById("editPostedBtn");
+const deletePostedBtn = document.getElementById("deletePostedBtn");
 const status = document.getElementById("status");
+const mainCard = document.getElementById("mainCard");
+const historyCard = document.getElementById("history");
+const loginCard = document.getElementById("loginCard");
+const loginStatus = document.getElementById("loginStatus");
 const progressSection = document.getElementById("progressSection");
 const progressBar = document.getElementById("progressBar");
 const progressCount = document.getElementById("progressCount");
 const progressPercent = document.getElementById("progressPercent");
+const destinationProgress = document.getElementById("destinationProgress");
 const toast = document.getElementById("toast");
 const steps = document.querySelectorAll(".step");
 const envStatus = document.getElementById("envStatus");
+const templateInput = document.getElementById("template");
+const parseModeSelect = document.getElementById("parseMode");
+const messageTypeSelect = document.getElementById("messageType");
+const keyboardEditor = document.querySelector(".keyboard-editor");
+const keyboardEnabled = document.getElementById("keyboardEnabled");
+const keyboardFields = document.getElementById("keyboardFields");
+const keyboardHint = document.getElementById("keyboardHint");
+const keyboardHintText = keyboardHint.innerHTML;
+const templateColumns = document.getElementById("templateColumns");
+const templateHint = document.getElementById("templateHint");
+const templateHintText = templateHint.innerHTML;
+const previewDiv = document.getElementById("preview");
+const previewPhoto = document.getElementById("previewPhoto");
+const previewNoPhoto = document.getElementById("previewNoPhoto");
+const previewAttachment = document.getElementById("previewAttachment");
+const previewButtons = document.getElementById("previewButtons");
+const previewCaption = document.getElementById("previewCaption");
+const previewLength = document.getElementById("previewLength");
+const previewPosition = document.getElementById("previewPosition");
+const previewIssues = document.getElementById("previewIssues");
+const previewSummary = document.getElementById("previewSummary");
+const previewPrev = document.getElementById("previewPrev");
+const previewNext = document.getElementById("previewNext");
+const validationDiv = document.getElementById("validation");
+const validationSummary = document.getElementById("validationSummary");
+const validationTable = document.getElementById("validationTable");
+const validationExport = document.getElementById("validationExport");
+const runModeSelect = document.getElementById("runMode");
+const profileSelect = document.getElementById("profile");
+const botAliasSelect = document.getElementById("botAlias");
+const botSave = document.getElementById("botSave");
+const scheduleDiv = document.getElementById("schedule");
+const dedupMode = document.getElementById("dedupMode");
+const dedupColumn = document.getElementById("dedupColumn");
+const scheduleLater = document.getElementById("scheduleLater");
+const scheduleStart = document.getElementById("scheduleStart");
+const dripEnabled = document.getElementById("dripEnabled");
+const dripFields = document.getElementById("dripFields");
+const dripTimeZone = document.getElementById("dripTimeZone");
+const scheduleSummary = document.getElementById("scheduleSummary");
+const scheduleUpdate = document.getElementById("scheduleUpdate");
 
 // Expose toggle function to global scope for HTML click handler
 window.toggleCredentials = function () {
@@ -44,35 +130,58 @@ window.toggleCredentials = function () {
 // Initialization
 // ========================================
 document.addEventListener("DOMContentLoaded", async () => {
+  loadTemplate();
+  loadKeyboard();
+  initSchedule();
+
   try {
     // Fetch configuration
     const configRes = await fetch("/api/config");
-    const config = await configRes.json();
-
-    if (!config.insforgeUrl || !config.insforgeAnonKey) {
-      console.error("Missing InsForge configuration");
-      showToast("❌ Missing server configuration", "error");
+    if (configRes.status === 401) {
+      showLogin();
       return;
     }
+    const config = await configRes.json();
+    showSignedIn(config.user);
+    const hasCloud = !!(config.insforgeUrl && config.insforgeAnonKey);
+
+    if (hasCloud && !offlineMode) {
+      // Initialize Client
+      client = createClient({
+        baseUrl: config.insforgeUrl,
+        anonKey: config.insforgeAnonKey
+      });
+      console.log("Client initialized:", client);
+
+      // Cloud functions only run jobs for a signed-in InsForge user
+      const { data: session } = await client.auth.getCurrentUser();
+      cloudUser = session?.user ?? null;
+      if (!config.user) {
+        if (!cloudUser) {
+          showLogin("cloud");
+          return;
+        }
+        showSignedIn({ username: cloudUser.email, role: "user" });
+      }
+    } else {
+      console.warn("No InsForge configuration (or offline mode), jobs run on this server");
+    }
 
-    // Initialize Client
-    client = createClient({
-      baseUrl: config.insforgeUrl,
-      anonKey: config.insforgeAnonKey
-    });
-    console.log("Client initialized:", client);
-    console.log("Client type:", typeof client);
-    console.log("Client keys:", Object.keys(client));
+    runModeSelect.querySelector('option[value="cloud"]').disabled = !client;
+    setRunMode(cloudUser ? localStorage.getItem("run_mode") || "cloud" : "server");
+
+    loadProfiles();
 
     // Store defaults found in config
-    if (config.defaultBotToken) defaultCredentials.botToken = config.defaultBotToken;
+    defaultCredentials.bots = config.bots || [];
     if (config.defaultChannelId) defaultCredentials.channelId = config.defaultChannelId;
+    const hasBot = defaultCredentials.bots.length > 0;
 
     // Update UI based on defaults
-    if (defaultCredentials.botToken && defaultCredentials.channelId) {
-      envStatus.textContent = "✅ Using default credentials from environment";
+    if (hasBot && defaultCredentials.channelId) {
+      envStatus.textContent = "✅ Using the server's bot and default destinations";
       envStatus.style.color = "#4ade80"; // Green
-    } else if (defaultCredentials.botToken || defaultCredentials.channelId) {
+    } else if (hasBot || defaultCredentials.channelId) {
       envStatus.textContent = "⚠️ Partial credentials found in environment";
       envStatus.style.color = "#facc15"; // Yellow
     } else {
@@ -88,21 +197,34 @@ document.addEventListener("DOMContentLoaded", async () => {
     return;
   }
 
+  // Bot tokens were kept here before they moved to the server
+  localStorage.removeItem("bot_token");
+
   // Check if we have stored credentials (overrides)
-  const storedBotToken = localStorage.getItem("bot_token");
   const storedChannelId = localStorage.getItem("channel_id");
 
-  if (storedBotToken) document.getElementById("botToken").value = storedBotToken;
   if (storedChannelId) document.getElementById("channelId").value = storedChannelId;
 
   // Check for active job
   const persistedJobId = localStorage.getItem("current_job_id");
-  if (persistedJobId && client) {
+  if (persistedJobId && runMode === "server") {
+    const res = await fetch(`/api/job/${persistedJobId}`);
+    const job = res.ok ? await res.json() : null;
+
+    if (job && ["pending", "queued", "running", "paused", "scheduled"].includes(job.status)) {
+      setActiveStep(3);
+      progressSection.classList.add("visible");
+      updateSendButton("sending");
+      watchServerJob(persistedJobId);
+    } else {
+      localStorage.removeItem("current_job_id");
+    }
+  } else if (persistedJobId && client) {
     console.log("Found persisted job:", persistedJobId);
     // Check if it's still relevant
     const { data: job } = await client.database.from('jobs').select('status').eq('id', persistedJobId).single();
 
-    if (job && (job.status === 'pending' || job.status === 'running')) {
+    if (job && (job.status === 'pending' || job.status === 'running' || job.status === 'paused')) {
       currentJobId = persistedJobId;
       setActiveStep(3);
       progressSection.classList.add("visible");
@@ -112,6 +234,297 @@ document.addEventListener("DOMContentLoaded", async () => {
       localStorage.removeItem("current_job_id");
     }
   }
+
+  loadHistory();
+});
+
+// ========================================
+// Run Mode
+// ========================================
+function setRunMode(mode) {
+  runMode = mode;
+  runModeSelect.value = mode;
+  localStorage.setItem("run_mode", mode);
+  scheduleDiv.classList.toggle("hidden", mode !== "server" || rows.length === 0);
+  updatePostedButtons();
+  if (mode !== "server") renderChecks([]);
+  loadBots();
+  if (!currentJobId && rows.length > 0) updateSendButton("ready");
+}
+
+// ========================================
+// Bots
+// ========================================
+// The browser only ever sees bot aliases; tokens are saved once and stay
+// encrypted on the server (or in the cloud's bot_credentials table)
+async function fetchBots() {
+  if (runMode === "server") {
+    const { bots } = await serverRequest("GET", "/api/credentials");
+    return bots;
+  }
+
+  if (!client) return [];
+  const { data, error } = await client.database
+    .from('bot_credentials')
+    .select('alias, bot_id, username')
+    .eq('owner', cloudUser?.id)
+    .order('alias', { ascending: true });
+
+  if (error) throw error;
+  const bots = data.map(({ alias, bot_id, username }) => ({ alias, botId: bot_id, username }));
+  // The function's BOT_TOKEN secret is the cloud's "default" bot
+  return bots.some(bot => bot.alias === "default") ? bots : [{ alias: "default", username: null }, ...bots];
+}
+
+async function loadBots() {
+  try {
+    const bots = await fetchBots();
+    const selected = localStorage.getItem("bot_alias") || "default";
+    botAliasSelect.innerHTML = bots.length === 0
+      ? '<option value="">No bots saved yet</option>'
+      : bots.map(bot => `<option value="${escapeHtml(bot.alias)}">${escapeHtml(bot.alias)}${bot.username ? ` (@${escapeHtml(bot.username)})` : ""}</option>`).join("");
+    if (bots.some(bot => bot.alias === selected)) botAliasSelect.value = selected;
+  } catch (error) {
+    console.error("Bots error:", error);
+    botAliasSelect.innerHTML = '<option value="">Could not load bots</option>';
+  }
+  scheduleConnectionCheck();
+}
+
+async function saveBot() {
+  const alias = document.getElementById("newBotAlias").value.trim();
+  const tokenInput = document.getElementById("newBotToken");
+
+  try {
+    if (runMode === "server") {
+      await serverRequest("POST", "/api/credentials", { alias, token: tokenInput.value.trim() });
+    } else {
+      const { data, error } = await client.functions.invoke('save-credential', {
+        body: { alias, token: tokenInput.value.trim() }
+      });
+      if (error || data?.error) throw new Error(data?.error || error.message);
+    }
+
+    tokenInput.value = "";
+    botSave.classList.add("hidden");
+    localStorage.setItem("bot_alias", alias.toLowerCase());
+    showToast(`Bot saved as "${alias.toLowerCase()}"`, "success");
+    loadBots();
+  } catch (error) {
+    showToast(error.message, "error");
+  }
+}
+
+botAliasSelect.addEventListener("change", () => {
+  localStorage.setItem("bot_alias", botAliasSelect.value);
+  scheduleConnectionCheck();
+});
+
+// ========================================
+// Profiles
+// ========================================
+// A profile is a bot with its own destinations, template, mapping and rate
+// limits. Picking one fills in the form; the server applies its rates.
+async function loadProfiles() {
+  try {
+    profiles = (await serverRequest("GET", "/api/profiles")).profiles;
+  } catch (error) {
+    console.error("Profiles error:", error);
+    profiles = [];
+  }
+
+  const selected = localStorage.getItem("profile") || "default";
+  profileSelect.innerHTML = profiles.length === 0
+    ? '<option value="">No profiles</option>'
+    : profiles.map(profile => `<option value="${escapeHtml(profile.name)}">${escapeHtml(profile.name)}${profile.destinations.length ? ` → ${escapeHtml(profile.destinations.join(", "))}` : ""}</option>`).join("");
+  if (profiles.some(profile => profile.name === selected)) profileSelect.value = selected;
+
+  document.getElementById("saveProfileBtn").classList.toggle("hidden", currentUser?.role !== "admin");
+}
+
+function selectedProfile() {
+  return profiles.find(profile => profile.name === profileSelect.value) || null;
+}
+
+function applyProfile(profile) {
+  if (!profile) return;
+
+  localStorage.setItem("bot_alias", profile.bot);
+  if ([...botAliasSelect.options].some(option => option.value === profile.bot)) botAliasSelect.value = profile.bot;
+
+  // The built-in default leaves the server's CHANNEL_ID in charge
+  const channelInput = document.getElementById("channelId");
+  channelInput.value = profile.source === "env" ? "" : profile.destinations.join(", ");
+  localStorage.setItem("channel_id", channelInput.value);
+
+  if (profile.parseMode) {
+    parseModeSelect.value = profile.parseMode;
+    localStorage.setItem("parse_mode", profile.parseMode);
+  }
+  if (profile.template !== undefined) {
+    templateInput.value = profile.template;
+    localStorage.setItem("caption_template", profile.template);
+    validateTemplate();
+  }
+  if (profile.messageType) {
+    messageTypeSelect.value = profile.messageType;
+    localStorage.setItem("message_type", profile.messageType);
+  }
+
+  applyProfileMapping(profile);
+  renderPreview();
+  resetValidation();
+  scheduleConnectionCheck();
+}
+
+// Use the profile's columns wherever the loaded file has them
+function applyProfileMapping(profile) {
+  if (!profile?.mapping || headers.length === 0) return;
+
+  for (const [field, column] of Object.entries(profile.mapping)) {
+    const select = document.getElementById(field);
+    if (field === "trusted" || !select || !headers.includes(column)) continue;
+    select.value = column;
+  }
+  if (Array.isArray(profile.mapping.trusted)) {
+    mappingDiv.querySelectorAll("[data-trusted]").forEach(checkbox => {
+      checkbox.checked = profile.mapping.trusted.includes(checkbox.dataset.trusted);
+    });
+  }
+}
+
+async function saveProfile() {
+  const name = prompt("Profile name (letters, digits, - and _)", profileSelect.value === "default" ? "" : profileSelect.value);
+  if (!name) return;
+
+  try {
+    const { profile } = await serverRequest("PUT", `/api/profiles/${encodeURIComponent(name.trim().toLowerCase())}`, {
+      bot: botAliasSelect.value,
+      destinations: document.getElementById("channelId").value,
+      template: templateInput.value,
+      parseMode: parseModeSelect.value,
+      messageType: messageTypeSelect.value,
+      mapping: getMapping(),
+      rates: selectedProfile()?.rates
+    });
+    localStorage.setItem("profile", profile.name);
+    showToast(`Profile "${profile.name}" saved`, "success");
+    loadProfiles();
+  } catch (error) {
+    showToast(error.message, "error");
+  }
+}
+
+// ========================================
+// Connection Checks (server jobs)
+// ========================================
+// The server resolves every destination the job would post to, reads the
+// bot's rights there and can post and delete a test message. Server jobs
+// cannot be sent until the current bot and destinations have passed.
+const MAX_CHECKED_DESTINATIONS = 10; // The server's limit per check
+const CONNECTION_CHECK_DELAY = 600; // ms after the last change
+const CHECK_ICONS = { ok: "✅", warn: "⚠️", fail: "❌", skipped: "⏭️" };
+let connection = { key: null, ok: false }; // Last check and whether it passed
+let connectionTimer = null;
+
+// Bot and destinations as the job would use them, incl. the rows' own
+function connectionTarget() {
+  const input = document.getElementById("channelId").value;
+  const defaults = input
+    ? parseDestinations(input).destinations
+    : parseDestinations(selectedProfile()?.destinations ?? []).destinations;
+
+  const keys = new Set(defaults.map(destinationKey));
+  const mapping = rows.length > 0 ? getMapping() : {};
+  if (mapping.destination) {
+    keys.clear(); // Only rows without a destination use the defaults
+    for (const row of rows) {
+      rowDestinations(row, mapping, defaults).destinations.forEach(destination => keys.add(destinationKey(destination)));
+      if (keys.size > MAX_CHECKED_DESTINATIONS) break;
+    }
+  }
+
+  return {
+    profile: profileSelect.value || undefined,
+    bot: botAliasSelect.value,
+    destinations: [...keys].slice(0, MAX_CHECKED_DESTINATIONS),
+    more: keys.size > MAX_CHECKED_DESTINATIONS
+  };
+}
+
+function connectionKey({ profile, bot, destinations }) {
+  return JSON.stringify({ profile, bot, destinations });
+}
+
+function renderChecks(checks = []) {
+  document.getElementById("connectionChecks").innerHTML = checks.map(check => `
+    <li class="${check.status}">${CHECK_ICONS[check.status] || "•"} ${escapeHtml(check.label)}
+      <span class="detail">${escapeHtml(check.detail || "")}</span></li>`).join("");
+}
+
+async function checkConnection({ testMessage = false } = {}) {
+  clearTimeout(connectionTimer);
+  const { more, ...target } = connectionTarget();
+  const key = connectionKey(target);
+  connection = { key, ok: false };
+  if (!currentJobId && rows.length > 0) updateSendButton("ready");
+
+  envStatus.textContent = testMessage ? "Sending a test message..." : "Checking the connection...";
+  envStatus.style.color = "";
+
+  try {
+    const data = await serverRequest("POST", "/api/test-connection", { ...target, testMessage });
+    if (connection.key !== key) return; // The form changed meanwhile
+
+    connection.ok = data.success;
+    renderChecks(data.checks);
+    envStatus.textContent = `${data.success ? "✅" : "❌"} ${data.message}${more ? ` (first ${MAX_CHECKED_DESTINATIONS} destinations)` : ""}`;
+    envStatus.style.color = data.success ? "#4ade80" : "#f87171";
+  } catch (error) {
+    if (connection.key !== key) return;
+    renderChecks([]);
+    envStatus.textContent = `❌ ${error.message}`;
+    envStatus.style.color = "#f87171";
+  }
+
+  if (!currentJobId && rows.length > 0) updateSendButton("ready");
+}
+
+// Re-check shortly after the bot or destinations change
+function scheduleConnectionCheck() {
+  clearTimeout(connectionTimer);
+  if (runMode !== "server" || !currentUser) return;
+
+  connectionTimer = setTimeout(() => {
+    if (connectionKey(connectionTarget()) !== connection.key) checkConnection();
+  }, CONNECTION_CHECK_DELAY);
+}
+
+profileSelect.addEventListener("change", () => {
+  localStorage.setItem("profile", profileSelect.value);
+  applyProfile(selectedProfile());
+});
+document.getElementById("saveProfileBtn").addEventListener("click", saveProfile);
+document.getElementById("testProfileBtn").addEventListener("click", () => {
+  checkConnection({ testMessage: document.getElementById("testMessage").checked });
+});
+document.getElementById("channelId").addEventListener("input", scheduleConnectionCheck);
+document.getElementById("addBotBtn").addEventListener("click", () => botSave.classList.toggle("hidden"));
+document.getElementById("saveBotBtn").addEventListener("click", saveBot);
+
+runModeSelect.addEventListener("change", () => {
+  if (currentJobId) {
+    runModeSelect.value = runMode;
+    showToast("Wait for the current job to finish", "error");
+    return;
+  }
+  if (runModeSelect.value === "cloud" && !cloudUser) {
+    runModeSelect.value = runMode;
+    showLogin("cloud");
+    return;
+  }
+  setRunMode(runModeSelect.value);
+  loadHistory();
 });
 
 // ========================================
@@ -148,11 +561,13 @@ uploadZone.addEventListener("drop", (e) => {
   uploadZone.classList.remove("dragover");
 
   const files = e.dataTransfer.files;
-  if (files.length > 0 && files[0].name.endsWith(".csv")) {
+  if (files.length > 0 && files[0].name.toLowerCase().endsWith(".zip")) {
+    uploadZip(files[0]);
+  } else if (files.length > 0 && importFormat(files[0].name, files[0].type)) {
     csvInput.files = files;
     handleFileUpload(files[0]);
   } else {
-    showToast("Please upload a CSV file", "error");
+    showToast(`Please upload a ${IMPORT_EXTENSIONS.join(", ")} file`, "error");
   }
 });
 
@@ -165,59 +580,319 @@ csvInput.addEventListener("change", () => {
   }
 });
 
-function handleFileUpload(file) {
-  setStatus("Reading CSV...", "loading");
-
-  Papa.parse(file, {
-    header: true,
-    skipEmptyLines: true,
-    complete: (result) => {
-      if (result.errors.length > 0) {
-        setStatus("CSV has errors", "error");
-        showToast("Error parsing CSV", "error");
-        console.error(result.errors);
-        return;
-      }
+// Server jobs parse the file on the server and start from its importId;
+// cloud jobs parse it here
+async function handleFileUpload(file) {
+  const format = importFormat(file.name, file.type);
+  if (!format) {
+    showToast(`Please upload a ${IMPORT_EXTENSIONS.join(", ")} file`, "error");
+    return;
+  }
 
-      rows = result.data;
-      headers = result.meta.fields;
+  setStatus(`Reading ${file.name}...`, "loading");
 
-      // Show file info
-      fileName.textContent = file.name;
-      fileMeta.textContent = `${rows.length} rows • ${headers.length} columns`;
-      fileInfo.classList.add("visible");
+  try {
+    if (runMode === "server" && currentUser) {
+      const form = new FormData();
+      form.append("file", file);
+      const { importId } = await uploadImport(form, share => {
+        setStatus(`Uploading ${file.name}... ${Math.round(share * 100)}%`, "loading");
+      });
+      loadTable(await waitForImport(importId, file.name));
+    } else {
+      loadTable({ ...await parseInBrowser(file, format), fileName: file.name });
+    }
+  } catch (error) {
+    setStatus(`Failed to read ${file.name}`, "error");
+    showToast(error.message, "error");
+    console.error(error);
+  }
+}
 
-      // Render mapping
-      renderMapping();
-      setActiveStep(2);
-      setStatus("Map your columns & enter credentials 👇", "");
-      updateSendButton("ready");
+// POST a file to /api/imports; XHR because fetch cannot report upload progress
+function uploadImport(form, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", "/api/imports");
+    xhr.responseType = "json";
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      const data = xhr.response || {};
+      if (xhr.status === 401) showLogin();
+      if (xhr.status >= 400) reject(new Error(data.error || `Import failed (${xhr.status})`));
+      else resolve(data);
+    };
+    xhr.onerror = () => reject(new Error("Upload failed, check your connection"));
+    xhr.send(form);
+  });
+}
 
-      showToast(`${rows.length} rows loaded`, "success");
-    },
-    error: (error) => {
-      setStatus("Failed to parse CSV", "error");
-      showToast("Error parsing CSV file", "error");
-      console.error(error);
-    }
+// Follow the server's parse of an import until its rows are ready
+async function waitForImport(importId, label, sheet = null) {
+  const query = sheet ? `?sheet=${encodeURIComponent(sheet)}` : "";
+  for (;;) {
+    const data = await serverRequest("GET", `/api/imports/${importId}${query}`);
+    if (data.status !== "parsing") return data;
+
+    const percent = data.size ? Math.round(data.bytes / data.size * 100) : 0;
+    setStatus(`Reading ${label}... ${data.rows.toLocaleString()} rows (${percent}%)`, "loading");
+    await new Promise(resolve => setTimeout(resolve, IMPORT_POLL_MS));
+  }
+}
+
+// Rows parsed in this browser go to the server as a JSON lines file, so
+// large jobs never travel as one JSON body
+async function importRows() {
+  const blob = new Blob(rows.map(row => `${JSON.stringify(row)}\n`), { type: "application/x-ndjson" });
+  const form = new FormData();
+  form.append("file", blob, `${fileName.textContent.replace(/\.[^.]+$/, "") || "rows"}.jsonl`);
+
+  const { importId } = await uploadImport(form, share => {
+    setStatus(`Uploading rows... ${Math.round(share * 100)}%`, "loading");
+  });
+  imported = { importId, sheet: null };
+  return imported;
+}
+
+function parseDelimited(input, delimiter) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(input, {
+      header: true,
+      skipEmptyLines: true,
+      delimiter,
+      complete: (result) => {
+        if (result.errors.length > 0) {
+          const [first] = result.errors;
+          console.error(result.errors);
+          reject(new Error(first.row === undefined ? first.message : `Row ${first.row + 2}: ${first.message}`));
+          return;
+        }
+        resolve({ rows: result.data, headers: result.meta.fields });
+      },
+      error: reject
+    });
   });
 }
 
+// { rows, headers } from a File or Blob, plus { sheets, sheet } for XLSX
+async function parseInBrowser(file, format) {
+  switch (format) {
+    case "csv":
+      return parseDelimited(file, "");
+    case "tsv":
+      return parseDelimited(file, "\t");
+    case "json":
+      return parseJsonTable(await file.text());
+    case "jsonl":
+      return parseJsonLines(await file.text());
+    case "xlsx": {
+      // SheetJS is only loaded when a workbook is opened
+      const XLSX = await import("https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs");
+      const book = XLSX.read(await file.arrayBuffer(), { cellNF: true }); // Number formats tell dates apart
+      const sheets = book.SheetNames.filter((name, index) => !book.Workbook?.Sheets?.[index]?.Hidden);
+      workbook = { XLSX, book, sheets };
+      return workbookTable(sheets[0]);
+    }
+  }
+}
+
+// The cells as the server reads them (lib/xlsx.js) rather than as Excel
+// shows them, so a send from the browser and from an upload see the same rows
+function workbookCell(XLSX, cell) {
+  if (!cell || cell.v === undefined) return "";
+  switch (cell.t) {
+    case "b":
+      return cell.v ? "TRUE" : "FALSE";
+    case "e":
+      return cell.w ?? "";
+    case "n":
+      return cell.z && XLSX.SSF.is_date(cell.z) ? excelDate(cell.v) : excelNumber(cell.v);
+    default:
+      return String(cell.v);
+  }
+}
+
+function workbookTable(sheet) {
+  const { XLSX, book, sheets } = workbook;
+  const cells = book.Sheets[sheet];
+  const range = cells["!ref"] ? XLSX.utils.decode_range(cells["!ref"]) : null;
+  const grid = range
+    ? Array.from({ length: range.e.r + 1 }, (_, r) => Array.from({ length: range.e.c + 1 }, (_, c) =>
+      workbookCell(XLSX, cells[XLSX.utils.encode_cell({ r, c })])))
+    : [];
+  return { ...tableFromGrid(grid), sheets, sheet };
+}
+
+// Show a parsed file: { rows, headers, fileName } and, from the server,
+// { importId }, for workbooks { sheets, sheet }
+function loadTable(table) {
+  if (table.rows.length === 0) {
+    setStatus(`${table.fileName} has no rows`, "error");
+    showToast("No rows found", "error");
+    return;
+  }
+
+  rows = table.rows;
+  headers = table.headers;
+  imported = table.importId ? { importId: table.importId, sheet: table.sheet } : null;
+  if (!table.sheets) workbook = null;
+
+  // Show file info
+  fileName.textContent = table.fileName;
+  fileMeta.textContent = `${rows.length} rows • ${headers.length} columns`;
+  fileInfo.classList.add("visible");
+  sheetSelect.classList.toggle("hidden", !table.sheets || table.sheets.length < 2);
+  // Sheet names come from the workbook, so they are set as text, not HTML
+  sheetSelect.replaceChildren(...(table.sheets || []).map(sheet => new Option(sheet, sheet)));
+  if (table.sheet) sheetSelect.value = table.sheet;
+
+  // Render mapping
+  renderMapping();
+  setActiveStep(2);
+  setStatus("Map your columns & enter credentials 👇", "");
+  updateSendButton("ready");
+  scheduleConnectionCheck();
+
+  showToast(`${rows.length} rows loaded`, "success");
+}
+
+sheetSelect.addEventListener("change", async () => {
+  const sheet = sheetSelect.value;
+  setStatus(`Reading sheet "${sheet}"...`, "loading");
+
+  try {
+    loadTable(imported
+      ? await waitForImport(imported.importId, fileName.textContent, sheet)
+      : { ...workbookTable(sheet), fileName: fileName.textContent });
+  } catch (error) {
+    setStatus(`Failed to read sheet "${sheet}"`, "error");
+    showToast(error.message, "error");
+  }
+});
+
+// ========================================
+// Import from a Link
+// ========================================
+// Published Google Sheets become their CSV export. The server fetches the
+// link itself; in the browser the site has to allow it (CORS).
+async function loadFromUrl() {
+  const url = sourceUrl.value.trim();
+  if (!url) return;
+
+  setStatus("Fetching the file...", "loading");
+
+  try {
+    if (runMode === "server" && currentUser) {
+      const { importId, fileName: name } = await serverRequest("POST", "/api/imports", { url });
+      loadTable(await waitForImport(importId, name));
+      return;
+    }
+
+    const source = sheetCsvUrl(url);
+    let res;
+    try {
+      res = await fetch(source);
+    } catch (error) {
+      throw new Error("The site does not allow loading it from the browser, switch \"Run jobs on\" to this server");
+    }
+    if (!res.ok) throw new Error(`Download failed with HTTP ${res.status}`);
+
+    const name = source !== url ? "Google Sheet.csv" : decodeURIComponent(new URL(url).pathname.split("/").pop() || "") || new URL(url).hostname;
+    const format = source !== url ? "csv" : importFormat(name, res.headers.get("content-type") || "");
+    if (!format) throw new Error(`Cannot tell the file type of ${name}`);
+
+    const blob = await res.blob();
+    // Papa reads strings and files; a Blob is read as text first
+    const table = ["csv", "tsv"].includes(format)
+      ? await parseDelimited(await blob.text(), format === "tsv" ? "\t" : "")
+      : await parseInBrowser(blob, format);
+    loadTable({ ...table, fileName: name });
+  } catch (error) {
+    setStatus("Failed to load the link", "error");
+    showToast(error.message, "error");
+    console.error(error);
+  }
+}
+
+document.getElementById("fetchUrlBtn").addEventListener("click", loadFromUrl);
+sourceUrl.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") loadFromUrl();
+});
+
+// ========================================
+// ZIP Upload (server jobs)
+// ========================================
+zipInput.addEventListener("change", () => {
+  if (zipInput.files.length > 0) {
+    uploadZip(zipInput.files[0]);
+    zipInput.value = "";
+  }
+});
+
+async function uploadZip(file) {
+  if (rows.length === 0) {
+    showToast("Load the CSV first, then attach the ZIP", "error");
+    return;
+  }
+
+  setStatus(`Uploading ${file.name}...`, "loading");
+  zipMeta.textContent = `📦 Uploading ${file.name}...`;
+
+  try {
+    const form = new FormData();
+    form.append("archive", file);
+    const res = await fetch("/api/uploads", { method: "POST", body: form });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Upload failed (${res.status})`);
+
+    upload = { uploadId: data.uploadId, files: data.files, name: file.name };
+    zipMeta.textContent = `📦 ${file.name} • ${data.files.length} files`;
+    setStatus("Rows can now name files from the ZIP instead of URLs", "");
+    showToast(`${data.files.length} files uploaded`, "success");
+
+    // Files on the server can only be sent by the server
+    if (runMode !== "server") {
+      setRunMode("server");
+      showToast("Switched to running jobs on this server for the ZIP", "success");
+    }
+  } catch (error) {
+    upload = null;
+    zipMeta.textContent = "";
+    setStatus(`❌ ${error.message}`, "error");
+    showToast("ZIP upload failed", "error");
+  }
+
+  renderPreview();
+  resetValidation();
+}
+
 // ========================================
 // Column Mapping
 // ========================================
 function renderMapping() {
-  const selects = mappingDiv.querySelectorAll("select");
+  const selects = mappingDiv.querySelectorAll(".mapping-grid select");
 
   selects.forEach(select => {
-    select.innerHTML = headers.map(h =>
+    const none = select.dataset.optional ? `<option value="">${escapeHtml(select.dataset.optional)}</option>` : "";
+    select.innerHTML = none + headers.map(h =>
       `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`
     ).join("");
   });
 
   autoMapColumns();
+  applyProfileMapping(selectedProfile());
+  renderTemplateColumns();
+  renderDedupOptions();
   mappingDiv.classList.remove("hidden");
 
+  previewIndex = 0;
+  renderPreview();
+  resetValidation();
+  validationDiv.classList.remove("hidden");
+  scheduleDiv.classList.toggle("hidden", runMode !== "server");
+
   // Show credential inputs if hidden
   document.getElementById("credentials").classList.remove("hidden");
 }
@@ -228,7 +903,11 @@ function autoMapColumns() {
     description: ["description", "desc", "details", "info", "summary"],
     download: ["download", "download_link", "download_url", "file", "file_url", "gdrive"],
     view: ["view", "view_link", "preview", "link", "url", "preview_url"],
-    image: ["image", "img", "photo", "picture", "thumbnail", "image_url", "thumb"]
+    image: ["image", "img", "photo", "picture", "thumbnail", "image_url", "thumb"],
+    gallery: ["gallery", "images", "screenshots", "album"],
+    file: ["file_url", "document", "video", "attachment"],
+    type: ["message_type", "post_type"],
+    destination: ["destination", "chat_id", "channel"]
   };
 
   for (const [field, keywords] of Object.entries(mappings)) {
@@ -245,25 +924,508 @@ function autoMapColumns() {
   }
 }
 
+function getMapping() {
+  return {
+    title: document.getElementById("title").value,
+    description: document.getElementById("description").value,
+    download: document.getElementById("download").value,
+    view: document.getElementById("view").value,
+    image: document.getElementById("image").value,
+    gallery: document.getElementById("gallery").value,
+    file: document.getElementById("file").value,
+    type: document.getElementById("type").value,
+    destination: document.getElementById("destination").value,
+    trusted: [...mappingDiv.querySelectorAll("[data-trusted]:checked")].map(el => el.dataset.trusted)
+  };
+}
+
+mappingDiv.querySelector(".mapping-grid").addEventListener("change", () => {
+  renderPreview();
+  resetValidation();
+  scheduleConnectionCheck();
+});
+
+// ========================================
+// Caption Template
+// ========================================
+function loadTemplate() {
+  const storedParseMode = localStorage.getItem("parse_mode");
+  parseModeSelect.value = DEFAULT_TEMPLATES[storedParseMode] ? storedParseMode : "HTML";
+  templateInput.value = localStorage.getItem("caption_template") || DEFAULT_TEMPLATES[parseModeSelect.value];
+  messageTypeSelect.value = localStorage.getItem("message_type") || "auto";
+  if (!messageTypeSelect.value) messageTypeSelect.value = "auto";
+  validateTemplate();
+}
+
+function validateTemplate() {
+  try {
+    compileTemplate(templateInput.value);
+    templateInput.classList.remove("invalid");
+    templateHint.classList.remove("error");
+    templateHint.innerHTML = templateHintText;
+    return true;
+  } catch (err) {
+    templateInput.classList.add("invalid");
+    templateHint.classList.add("error");
+    templateHint.textContent = `⚠️ ${err.message}`;
+    return false;
+  }
+}
+
+function renderTemplateColumns() {
+  templateColumns.innerHTML = headers.map(h =>
+    `<button type="button" class="column-chip" data-column="${escapeHtml(h)}">{{${escapeHtml(h)}}}</button>`
+  ).join("");
+}
+
+function insertPlaceholder(column) {
+  const placeholder = `{{${column}}}`;
+  const { selectionStart, selectionEnd, value } = templateInput;
+  templateInput.value = value.slice(0, selectionStart) + placeholder + value.slice(selectionEnd);
+  templateInput.focus();
+  templateInput.selectionStart = templateInput.selectionEnd = selectionStart + placeholder.length;
+  templateInput.dispatchEvent(new Event("input"));
+}
+
+templateInput.addEventListener("input", () => {
+  localStorage.setItem("caption_template", templateInput.value);
+  validateTemplate();
+  renderPreview();
+  resetValidation();
+});
+
+parseModeSelect.addEventListener("change", () => {
+  const previousDefault = Object.values(DEFAULT_TEMPLATES).includes(templateInput.value);
+  localStorage.setItem("parse_mode", parseModeSelect.value);
+
+  // Swap in the matching default unless the user has written their own template
+  if (previousDefault) {
+    templateInput.value = DEFAULT_TEMPLATES[parseModeSelect.value];
+    localStorage.removeItem("caption_template");
+  }
+  validateTemplate();
+  renderPreview();
+  resetValidation();
+});
+
+messageTypeSelect.addEventListener("change", () => {
+  localStorage.setItem("message_type", messageTypeSelect.value);
+  renderPreview();
+  resetValidation();
+});
+
+document.getElementById("resetTemplate").addEventListener("click", () => {
+  templateInput.value = DEFAULT_TEMPLATES[parseModeSelect.value];
+  localStorage.removeItem("caption_template");
+  validateTemplate();
+  renderPreview();
+  resetValidation();
+});
+
+templateColumns.addEventListener("click", (e) => {
+  const chip = e.target.closest(".column-chip");
+  if (chip) insertPlaceholder(chip.dataset.column);
+});
+
+// ========================================
+// Inline Keyboard
+// ========================================
+const KEYBOARD_INPUTS = ["viewLabel", "downloadLabel", "keyboardPerRow", "keyboardExtra"];
+
+function loadKeyboard() {
+  const stored = JSON.parse(localStorage.getItem("keyboard") || "null");
+  if (stored) {
+    keyboardEnabled.checked = !!stored.enabled;
+    KEYBOARD_INPUTS.forEach(id => {
+      if (stored[id] !== undefined) document.getElementById(id).value = stored[id];
+    });
+  }
+  validateKeyboard();
+}
+
+function saveKeyboard() {
+  const stored = { enabled: keyboardEnabled.checked };
+  KEYBOARD_INPUTS.forEach(id => (stored[id] = document.getElementById(id).value));
+  localStorage.setItem("keyboard", JSON.stringify(stored));
+}
+
+// Build the job keyboard from the form; throws on malformed input
+function readKeyboard() {
+  if (!keyboardEnabled.checked) return null;
+
+  const [view, download] = DEFAULT_KEYBOARD.buttons;
+  const buttons = [
+    { ...view, label: document.getElementById("viewLabel").value || view.label },
+    { ...download, label: document.getElementById("downloadLabel").value || download.label }
+  ];
+
+  document.getElementById("keyboardExtra").value.split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+    const separator = line.lastIndexOf("=");
+    if (separator === -1) throw new Error(`Extra button line ${index + 1} should look like "Label = column"`);
+    buttons.push({ label: line.slice(0, separator).trim(), column: line.slice(separator + 1).trim() });
+  });
+
+  return normalizeKeyboard({ buttons, perRow: Number(document.getElementById("keyboardPerRow").value) });
+}
+
+function validateKeyboard() {
+  keyboardFields.classList.toggle("hidden", !keyboardEnabled.checked);
+  try {
+    readKeyboard();
+    keyboardHint.classList.remove("error");
+    keyboardHint.innerHTML = keyboardHintText;
+    return true;
+  } catch (err) {
+    keyboardHint.classList.add("error");
+    keyboardHint.textContent = `⚠️ ${err.message}`;
+    return false;
+  }
+}
+
+function getKeyboard() {
+  try {
+    return readKeyboard();
+  } catch {
+    return null;
+  }
+}
+
+keyboardEditor.addEventListener("input", () => {
+  saveKeyboard();
+  validateKeyboard();
+  renderPreview();
+  resetValidation();
+});
+
+// ========================================
+// Preview
+// ========================================
+function previewRow(row) {
+  const parseMode = parseModeSelect.value;
+  const mapping = getMapping();
+  const type = resolveMessageType(row, mapping, messageTypeSelect.value);
+  const images = type === "album" ? splitUrls(row[mapping.gallery]) : [];
+  let imageUrl = type === "photo" || type === "album" ? images[0] || row[mapping.image] : "";
+
+  const keyboard = messageKeyboard(row, mapping, { type: messageTypeSelect.value, keyboard: getKeyboard() });
+
+  let caption = "";
+  let check;
+  try {
+    caption = renderCaption(templateInput.value, row, mapping, { parseMode, buttons: !!keyboard });
+    check = checkCaption(caption, parseMode, messageLimit(type));
+  } catch (err) {
+    check = { tree: null, length: 0, limit: 0, errors: [err.message], warnings: [] };
+  }
+
+  const issues = [
+    ...check.errors.map(message => ({ level: "error", message })),
+    ...check.warnings.map(message => ({ level: "warning", message }))
+  ];
+
+  let message = null;
+  try {
+    message = buildMessage(row, mapping, { type: messageTypeSelect.value, caption, parseMode });
+  } catch (err) {
+    issues.push({ level: "error", message: `${err.message}, this row will be skipped` });
+  }
+
+  // Documents, videos, albums and ZIP files are shown as a note
+  let attachment = "";
+  if (imageUrl && !isSafeUrl(imageUrl)) {
+    const inZip = upload?.files.some(name => uploadedFileKey(name) === uploadedFileKey(imageUrl));
+    attachment = `📦 ${imageUrl}${inZip ? " from the uploaded ZIP" : " (not a URL or uploaded file)"}`;
+    imageUrl = "";
+  } else if (message?.type === "album") {
+    attachment = `🗂️ Album of ${message.payload.media.length} images`;
+  } else if (message && ["document", "video", "animation"].includes(message.type)) {
+    const url = message.payload[message.type];
+    attachment = `📎 ${message.type}: ${url.split(/[?#]/)[0].split("/").pop() || url}`;
+  }
+
+  return { type, imageUrl, attachment, keyboard, caption, check, issues };
+}
+
+function renderPreview() {
+  if (rows.length === 0) return;
+
+  const count = Math.min(rows.length, PREVIEW_LIMIT);
+  previewIndex = Math.min(Math.max(previewIndex, 0), count - 1);
+
+  const { type, imageUrl, attachment, keyboard, check, issues } = previewRow(rows[previewIndex]);
+  const wantsPhoto = type === "photo" || type === "album";
+
+  previewPhoto.style.display = imageUrl ? "" : "none";
+  previewNoPhoto.style.display = wantsPhoto && !imageUrl && !attachment ? "block" : "none";
+  previewAttachment.textContent = attachment;
+  previewAttachment.classList.toggle("hidden", !attachment);
+  if (imageUrl && previewPhoto.getAttribute("src") !== imageUrl) previewPhoto.src = imageUrl;
+
+  previewCaption.replaceChildren(check.tree ? renderEntities(check.tree) : "");
+  previewButtons.replaceChildren(...(keyboard?.inline_keyboard || []).map(buttons => {
+    const line = document.createElement("div");
+    line.className = "tg-buttons-row";
+    line.append(...buttons.map(button => {
+      const link = document.createElement("a");
+      link.href = button.url;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = button.text;
+      return link;
+    }));
+    return line;
+  }));
+  previewLength.textContent = `${check.length} / ${check.limit}`;
+  previewLength.classList.toggle("over", check.length > check.limit);
+  previewDiv.querySelector(".tg-message").classList.toggle("invalid", issues.some(i => i.level === "error"));
+
+  previewIssues.innerHTML = issues.map(issue =>
+    `<li class="${issue.level}">${issue.level === "error" ? "❌" : "⚠️"} ${escapeHtml(issue.message)}</li>`
+  ).join("");
+
+  previewPosition.textContent = `Row ${previewIndex + 1} of ${count}${rows.length > count ? ` (first ${count} of ${rows.length})` : ""}`;
+  previewPrev.disabled = previewIndex === 0;
+  previewNext.disabled = previewIndex >= count - 1;
+
+  // Flag every previewed row that Telegram would reject
+  const flagged = [];
+  for (let i = 0; i < count; i++) {
+    if (previewRow(rows[i]).issues.some(issue => issue.level === "error")) flagged.push(i);
+  }
+  previewSummary.innerHTML = flagged.length === 0
+    ? `✅ No problems found in the first ${count} rows`
+    : `⚠️ ${flagged.length} of ${count} rows have problems: ` + flagged.map(i =>
+      `<button type="button" class="link-btn" data-row="${i}">#${i + 1}</button>`
+    ).join(" ");
+
+  previewDiv.classList.remove("hidden");
+}
+
+// Build DOM for a parsed caption; only whitelisted elements are created
+function renderEntities(node) {
+  if (node.kind === "text") return document.createTextNode(node.text);
+
+  const tags = { b: "strong", i: "em", u: "u", s: "s", code: "code", pre: "pre", blockquote: "blockquote", a: "a" };
+  let el;
+
+  if (node.kind === "root" || node.kind === "emoji") {
+    el = document.createDocumentFragment();
+  } else if (node.kind === "spoiler") {
+    el = document.createElement("span");
+    el.className = "tg-spoiler";
+  } else {
+    el = document.createElement(tags[node.kind] || "span");
+  }
+
+  if (node.kind === "a" && isSafeUrl(node.attrs.href)) {
+    el.href = node.attrs.href;
+    el.target = "_blank";
+    el.rel = "noopener noreferrer";
+  }
+
+  node.children.forEach(child => el.appendChild(renderEntities(child)));
+  return el;
+}
+
+previewPrev.addEventListener("click", () => {
+  previewIndex--;
+  renderPreview();
+});
+
+previewNext.addEventListener("click", () => {
+  previewIndex++;
+  renderPreview();
+});
+
+previewSummary.addEventListener("click", (e) => {
+  const target = e.target.closest("[data-row]");
+  if (!target) return;
+  previewIndex = Number(target.dataset.row);
+  renderPreview();
+});
+
+previewPhoto.addEventListener("error", () => {
+  previewIssues.insertAdjacentHTML("beforeend", `<li class="warning">⚠️ Image failed to load in the browser</li>`);
+});
+
+// ========================================
+// Pre-flight Validation
+// ========================================
+function runValidation() {
+  validation = validateRows(rows, {
+    mapping: getMapping(),
+    template: templateInput.value,
+    parseMode: parseModeSelect.value,
+    messageType: messageTypeSelect.value,
+    keyboard: getKeyboard(),
+    files: upload?.files
+  });
+  renderValidation();
+  return validation;
+}
+
+function resetValidation() {
+  validation = null;
+  validationSummary.className = "validation-summary";
+  validationSummary.textContent = "Check every row for missing fields, bad URLs and captions Telegram would reject.";
+  validationTable.classList.remove("visible");
+  validationExport.disabled = true;
+}
+
+function renderValidation() {
+  const { results, summary } = validation;
+  const mapping = getMapping();
+  const problems = results.filter(r => r.status !== "ok");
+
+  validationSummary.className = "validation-summary " + (summary.errors > 0 ? "error" : "success");
+  validationSummary.textContent = `${summary.total} rows checked: ${summary.ok} ok, ` +
+    `${summary.warnings} with warnings, ${summary.errors} with errors`;
+
+  validationTable.querySelector("tbody").innerHTML = problems.slice(0, VALIDATION_TABLE_LIMIT).map(result => `
+    <tr class="${result.status}">
+      <td>#${result.row}</td>
+      <td>${escapeHtml(rows[result.row - 1][mapping.title] || "")}</td>
+      <td><ul>${result.issues.map(i =>
+        `<li>${i.level === "error" ? "❌" : "⚠️"} ${escapeHtml(i.message)}</li>`
+      ).join("")}</ul></td>
+    </tr>
+  `).join("");
+
+  if (problems.length > VALIDATION_TABLE_LIMIT) {
+    validationSummary.textContent += ` (table shows the first ${VALIDATION_TABLE_LIMIT}; download the report for all)`;
+  }
+
+  validationTable.classList.toggle("visible", problems.length > 0);
+  validationExport.disabled = false;
+}
+
+function exportValidationReport() {
+  if (!validation) return;
+  const report = buildValidationReport(rows, validation.results);
+  const baseName = fileName.textContent.replace(/\.[^.]+$/, "");
+  downloadFile(`${baseName}-validation.csv`, Papa.unparse(report, { escapeFormulae: FORMULA_CELL }), "text/csv");
+}
+
+document.getElementById("validateBtn").addEventListener("click", () => {
+  if (rows.length > 0) runValidation();
+});
+
+validationExport.addEventListener("click", exportValidationReport);
+
+// ========================================
+// Schedule (server jobs)
+// ========================================
+function initSchedule() {
+  const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  document.getElementById("timeZones").innerHTML = zones.map(z => `<option value="${z}">`).join("");
+  dripTimeZone.value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  renderScheduleSummary();
+}
+
+// Returns null to send immediately, otherwise the schedule for /api/send
+function getSchedule() {
+  const schedule = {};
+
+  if (scheduleLater.checked && scheduleStart.value) {
+    schedule.startAt = new Date(scheduleStart.value).toISOString();
+  }
+
+  if (dripEnabled.checked) {
+    schedule.drip = {
+      intervalMinutes: Number(document.getElementById("dripInterval").value),
+      windowStart: document.getElementById("dripStart").value || "00:00",
+      windowEnd: document.getElementById("dripEnd").value || "24:00",
+      timeZone: dripTimeZone.value || "UTC"
+    };
+  }
+
+  return schedule.startAt || schedule.drip ? schedule : null;
+}
+
+function renderScheduleSummary() {
+  scheduleStart.disabled = !scheduleLater.checked;
+  dripFields.style.opacity = dripEnabled.checked ? "1" : "0.5";
+
+  const schedule = getSchedule();
+  const parts = [];
+
+  if (schedule?.startAt) {
+    parts.push(`Starts ${new Date(schedule.startAt).toLocaleString()}`);
+  }
+  if (schedule?.drip) {
+    const { intervalMinutes, windowStart, windowEnd, timeZone } = schedule.drip;
+    parts.push(`one post every ${intervalMinutes} min between ${windowStart} and ${windowEnd} (${timeZone})`);
+  }
+
+  scheduleSummary.textContent = parts.length ? `🗓️ ${parts.join(", ")}` : "Posts go out as soon as the job starts.";
+  if (!currentJobId && rows.length > 0) updateSendButton("ready");
+}
+
+// ========================================
+// Duplicate Handling (server jobs)
+// ========================================
+function renderDedupOptions() {
+  const saved = JSON.parse(localStorage.getItem("dedup") || "{}");
+  // Built as elements: headers come from the file and may hold quotes
+  dedupColumn.replaceChildren(
+    new Option("Caption + media", ""),
+    ...headers.map(h => new Option(`${h} column`, h))
+  );
+  dedupMode.value = saved.mode || "skip";
+  dedupColumn.value = headers.includes(saved.column) ? saved.column : "";
+}
+
+function getDedup() {
+  return { mode: dedupMode.value, column: dedupColumn.value || null };
+}
+
+[dedupMode, dedupColumn].forEach(select => select.addEventListener("change", () => {
+  localStorage.setItem("dedup", JSON.stringify(getDedup()));
+}));
+
+async function updateServerSchedule() {
+  if (!currentJobId || runMode !== "server") return;
+
+  try {
+    await serverRequest("PATCH", `/api/job/${currentJobId}/schedule`, { schedule: getSchedule() });
+    showToast("Schedule updated", "success");
+  } catch (error) {
+    showToast(error.message, "error");
+  }
+}
+
+scheduleDiv.addEventListener("input", renderScheduleSummary);
+scheduleDiv.addEventListener("change", renderScheduleSummary);
+scheduleUpdate.addEventListener("click", updateServerSchedule);
+
 // ========================================
 // Send Button States
 // ========================================
 function updateSendButton(state) {
   switch (state) {
     case "ready":
-      sendBtn.disabled = false;
-      sendBtn.innerHTML = '<span class="btn-icon">📨</span><span>Send to Telegram (Cloud)</span>';
+      // Server jobs wait for the connection check of the current form
+      sendBtn.disabled = runMode === "server" && !connection.ok;
+      sendBtn.title = sendBtn.disabled ? "The bot and destinations have not passed the connection check yet" : "";
+      sendBtn.innerHTML = runMode === "server"
+        ? `<span class="btn-icon">${getSchedule() ? "🗓️" : "📨"}</span><span>${getSchedule() ? "Schedule on Server" : "Send to Telegram (Server)"}</span>`
+        : '<span class="btn-icon">📨</span><span>Send to Telegram (Cloud)</span>';
       sendBtn.onclick = startSendJob;
+      sendBtn.classList.remove("stop-btn");
+      updatePauseButton("hidden");
       break;
     case "sending":
       sendBtn.disabled = false;
       sendBtn.innerHTML = '<span class="btn-icon">⏹️</span><span>Stop Sending</span>';
       sendBtn.onclick = stopSendJob;
       sendBtn.classList.add("stop-btn");
+      updatePauseButton("running");
       break;
     case "stopping":
       sendBtn.disabled = true;
       sendBtn.innerHTML = '<span class="loading-spinner">⏳</span><span>Stopping...</span>';
+      updatePauseButton("hidden");
       break;
     case "disabled":
       sendBtn.disabled = true;
@@ -272,21 +1434,71 @@ function updateSendButton(state) {
   }
 }
 
+function updatePauseButton(state) {
+  pauseBtn.classList.toggle("hidden", state === "hidden");
+
+  switch (state) {
+    case "running":
+      pauseBtn.disabled = false;
+      pauseBtn.innerHTML = '<span class="btn-icon">⏸️</span><span>Pause</span>';
+      pauseBtn.onclick = pauseSendJob;
+      break;
+    case "paused":
+      pauseBtn.disabled = false;
+      pauseBtn.innerHTML = '<span class="btn-icon">▶️</span><span>Resume</span>';
+      pauseBtn.onclick = resumeSendJob;
+      break;
+    case "busy":
+      pauseBtn.disabled = true;
+      pauseBtn.innerHTML = '<span class="loading-spinner">⏳</span>';
+      break;
+  }
+}
+
 // ========================================
 // Start Send Job (Cloud)
 // ========================================
 async function startSendJob() {
   if (currentJobId) return;
 
-  const botTokenInput = document.getElementById("botToken").value;
+  if (!validateTemplate()) {
+    showToast("Fix the caption template before sending", "error");
+    return;
+  }
+
+  if (!validateKeyboard()) {
+    showToast("Fix the inline buttons before sending", "error");
+    return;
+  }
+
+  const { summary } = validation || runValidation();
+  if (summary.errors > 0 &&
+    !confirm(`${summary.errors} of ${summary.total} rows have errors and will likely fail. Send anyway?`)) {
+    return;
+  }
+
   const channelIdInput = document.getElementById("channelId").value;
+  const { destinations, invalid } = parseDestinations(channelIdInput || defaultCredentials.channelId);
+  if (invalid.length > 0) {
+    showToast(`Invalid destination: ${invalid.join(", ")}`, "error");
+    return;
+  }
+
+  if (runMode === "server") {
+    // An empty input leaves the server's CHANNEL_ID in charge
+    return startServerJob(channelIdInput ? destinations : []);
+  }
+
+  if (upload) {
+    showToast("Files from a ZIP can only be sent by this server, switch \"Run jobs on\"", "error");
+    return;
+  }
 
-  // Use input or fallback to defaults
-  const botToken = botTokenInput || defaultCredentials.botToken;
+  const bot = botAliasSelect.value;
   const channelId = channelIdInput || defaultCredentials.channelId;
 
-  if (!botToken || !channelId) {
-    showToast("Please enter Bot Token and Channel ID (or configure in .env)", "error");
+  if (!bot || (destinations.length === 0 && !getMapping().destination)) {
+    showToast("Please pick a bot and a destination (or configure in .env)", "error");
     // Open the accordion so they can see input is needed
     const content = document.getElementById("credentialsContent");
     const wrapper = document.getElementById("credentials");
@@ -298,7 +1510,6 @@ async function startSendJob() {
   }
 
   // Save credentials for next time (only if user entered them)
-  if (botTokenInput) localStorage.setItem("bot_token", botTokenInput);
   if (channelIdInput) localStorage.setItem("channel_id", channelIdInput);
 
   if (!client || !client.database) {
@@ -310,35 +1521,40 @@ async function startSendJob() {
   setActiveStep(3);
   setStatus("Uploading job to cloud...", "loading");
   updateSendButton("sending");
+  updateRetryButton(0);
 
   // Show progress
   progressSection.classList.add("visible");
   updateProgress(0, rows.length, 0, 0);
+  renderDestinationProgress();
 
-  const mapping = {
-    title: document.getElementById("title").value,
-    description: document.getElementById("description").value,
-    download: document.getElementById("download").value,
-    view: document.getElementById("view").value,
-    image: document.getElementById("image").value
-  };
+  const mapping = getMapping();
+  let createdJobId = null;
 
   try {
     // 1. Create Job in Database
     const { data: job, error: jobError } = await client.database
       .from('jobs')
       .insert([{
+        owner: cloudUser.id,
         total: rows.length,
-        status: 'pending',
+        status: 'uploading', // The function leaves it alone until every row is in
         mapping: mapping,
-        bot_token: botToken,
-        channel_id: channelId
+        template: templateInput.value,
+        parse_mode: parseModeSelect.value,
+        message_type: messageTypeSelect.value,
+        keyboard: getKeyboard(),
+        file_name: fileName.textContent,
+        bot,
+        channel_id: channelId,
+        destinations
       }])
       .select()
       .single();
 
     if (jobError) throw new Error("Failed to create job: " + jobError.message);
 
+    createdJobId = job.id;
     currentJobId = job.id;
     console.log("Job created:", currentJobId);
 
@@ -358,6 +1574,9 @@ async function startSendJob() {
       setStatus(`Uploaded ${Math.min(i + BATCH_SIZE, rows.length)}/${rows.length} rows...`, "loading");
     }
 
+    const { error: readyError } = await client.database.from('jobs').update({ status: 'pending' }).eq('id', currentJobId);
+    if (readyError) throw new Error("Failed to start job: " + readyError.message);
+
     // 3. Trigger Cloud Processing
     const { error: invokeError } = await client.functions.invoke('process-job', {
       body: { jobId: currentJobId }
@@ -374,6 +1593,74 @@ async function startSendJob() {
     pollJobStatus();
 
   } catch (error) {
+    // The function never picks up a job left in 'uploading', so fail it
+    if (createdJobId) {
+      await client.database
+        .from('jobs')
+        .update({ status: 'failed', end_time: new Date().toISOString() })
+        .eq('id', createdJobId)
+        .eq('status', 'uploading');
+    }
+
+    setStatus(`❌ ${error.message}`, "error");
+    showToast("Failed to start job", "error");
+    updateSendButton("ready");
+    console.error("Start job error:", error);
+  }
+}
+
+// ========================================
+// Server Jobs (Express JobManager)
+// ========================================
+async function serverRequest(method, path, body) {
+  const res = await fetch(path, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+
+  if (res.status === 401) showLogin();
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+async function startServerJob(destinations) {
+  setActiveStep(3);
+  setStatus("Creating job on server...", "loading");
+  updateSendButton("sending");
+  updateRetryButton(0);
+
+  progressSection.classList.add("visible");
+  updateProgress(0, rows.length, 0, 0);
+  renderDestinationProgress();
+
+  try {
+    // The job is created from the file stored on the server
+    const { importId, sheet } = imported || await importRows();
+    setStatus("Creating job on server...", "loading");
+
+    const { jobId } = await serverRequest("POST", "/api/send", {
+      importId,
+      sheet,
+      mapping: getMapping(),
+      template: templateInput.value,
+      parseMode: parseModeSelect.value,
+      messageType: messageTypeSelect.value,
+      keyboard: getKeyboard(),
+      uploadId: upload?.uploadId,
+      fileName: fileName.textContent,
+      bot: botAliasSelect.value || undefined,
+      profile: profileSelect.value || undefined,
+      destinations,
+      dedup: getDedup(),
+      schedule: getSchedule()
+    });
+
+    watchServerJob(jobId);
+    showToast("Server job started!", "success");
+  } catch (error) {
+    if (/Import not found/.test(error.message)) imported = null; // Pruned, the rows go up again next time
     setStatus(`❌ ${error.message}`, "error");
     showToast("Failed to start job", "error");
     updateSendButton("ready");
@@ -381,6 +1668,83 @@ async function startSendJob() {
   }
 }
 
+// Follow a server job over SSE until it is done
+function watchServerJob(jobId) {
+  if (eventSource) eventSource.close();
+
+  currentJobId = jobId;
+  localStorage.setItem("current_job_id", jobId);
+  scheduleUpdate.classList.remove("hidden");
+  updatePostedButtons();
+
+  eventSource = new EventSource(`/api/events/${jobId}`);
+  const on = (event, handler) => eventSource.addEventListener(event, e => handler(JSON.parse(e.data)));
+
+  on("connected", data => {
+    updatePauseButton(data.status === "paused" ? "paused" : "running");
+  });
+
+  on("progress", data => {
+    updateProgress(data.current, data.total, data.sent, data.failed);
+    renderDestinationProgress(data.destinations);
+    const skipped = data.skipped ? `, ${data.skipped} skipped` : "";
+    setStatus(`Server Processing: ${data.sent}/${data.total} sent${skipped} (${data.percent}%)`, "loading");
+  });
+
+  on("queued", data => {
+    setStatus(`🚦 Queued behind other jobs, position ${data.position}`, "");
+  });
+
+  on("waiting", data => {
+    setStatus(`🕒 Next post at ${new Date(data.until).toLocaleString()}`, "");
+  });
+
+  on("schedule", data => {
+    if (data.status === "scheduled") setStatus("🗓️ Schedule updated, waiting to start", "");
+  });
+
+  on("ratelimit", data => {
+    setStatus(`⏳ Rate limited, retrying in ${data.retryAfter}s`, "loading");
+  });
+
+  on("paused", data => {
+    setStatus(`⏸️ Paused: ${data.current}/${data.total} processed`, "");
+    updatePauseButton("paused");
+  });
+
+  on("resumed", () => {
+    updatePauseButton("running");
+  });
+
+  on("done", data => {
+    renderDestinationProgress(data.destinations);
+    eventSource.close();
+    eventSource = null;
+    if (data.kind === "send" && data.sent > 0) postedJobId = currentJobId;
+    lastJobId = currentJobId;
+    currentJobId = null;
+    localStorage.removeItem("current_job_id");
+    scheduleUpdate.classList.add("hidden");
+    updateRetryButton(data.failed);
+    updatePostedButtons();
+    loadHistory();
+
+    if (data.status === "completed") {
+      const skipped = data.skipped ? ` ${data.skipped} already posted, skipped.` : "";
+      setStatus(`✅ Server job completed! ${data.sent} sent.${skipped}`, "success");
+      showToast("Job completed!", "success");
+    } else {
+      setStatus(`🛑 Job ${data.status}`, "error");
+    }
+    updateSendButton("ready");
+  });
+
+  eventSource.onerror = () => {
+    // EventSource reconnects on its own; the server replays state on connect
+    console.warn("Event stream interrupted, reconnecting...");
+  };
+}
+
 // ========================================
 // Stop Send Job
 // ========================================
@@ -390,6 +1754,12 @@ async function stopSendJob() {
   updateSendButton("stopping");
 
   try {
+    if (runMode === "server") {
+      await serverRequest("POST", `/api/stop/${currentJobId}`);
+      showToast("Job stopped", "success");
+      return;
+    }
+
     const { error } = await client.database
       .from('jobs')
       .update({ status: 'stopped' })
@@ -404,11 +1774,236 @@ async function stopSendJob() {
   }
 }
 
+// ========================================
+// Pause / Resume Send Job
+// ========================================
+async function pauseSendJob() {
+  if (!currentJobId) return;
+
+  updatePauseButton("busy");
+
+  try {
+    if (runMode === "server") {
+      await serverRequest("POST", `/api/pause/${currentJobId}`);
+      updatePauseButton("paused");
+      showToast("Job paused", "success");
+      return;
+    }
+
+    const { error } = await client.database
+      .from('jobs')
+      .update({ status: 'paused' })
+      .eq('id', currentJobId);
+
+    if (error) throw error;
+
+    updatePauseButton("paused");
+    showToast("Job paused", "success");
+  } catch (error) {
+    console.error("Pause error:", error);
+    updatePauseButton("running");
+    showToast("Failed to pause job", "error");
+  }
+}
+
+async function resumeSendJob() {
+  if (!currentJobId) return;
+
+  updatePauseButton("busy");
+
+  try {
+    if (runMode === "server") {
+      await serverRequest("POST", `/api/resume/${currentJobId}`);
+      updatePauseButton("running");
+      showToast("Job resumed", "success");
+      return;
+    }
+
+    const { error } = await client.database
+      .from('jobs')
+      .update({ status: 'running' })
+      .eq('id', currentJobId);
+
+    if (error) throw error;
+
+    // The paused function stopped chaining, so kick off the next batch
+    const { error: invokeError } = await client.functions.invoke('process-job', {
+      body: { jobId: currentJobId }
+    });
+
+    if (invokeError) throw invokeError;
+
+    updatePauseButton("running");
+    showToast("Job resumed", "success");
+  } catch (error) {
+    console.error("Resume error:", error);
+    updatePauseButton("paused");
+    showToast("Failed to resume job", "error");
+  }
+}
+
+// ========================================
+// Retry Failed Rows
+// ========================================
+function updateRetryButton(failed) {
+  retryBtn.classList.toggle("hidden", !failed);
+  retryBtn.disabled = false;
+  retryBtn.textContent = `🔁 Retry ${failed} failed row${failed === 1 ? "" : "s"}`;
+}
+
+async function retryFailedRows() {
+  if (currentJobId || !lastJobId) return;
+
+  retryBtn.disabled = true;
+
+  try {
+    if (runMode === "server") {
+      // The server retries failed rows as a new job
+      const { jobId, total } = await serverRequest("POST", `/api/job/${lastJobId}/retry-failed`);
+      updateRetryButton(0);
+      setActiveStep(3);
+      updateSendButton("sending");
+      showToast(`Retrying ${total} failed rows`, "success");
+      watchServerJob(jobId);
+      return;
+    }
+
+    // Put the failed rows back in the queue of the same job
+    const { data: resetRows, error: resetError } = await client.database
+      .from('job_rows')
+      .update({ status: 'pending', error: null })
+      .eq('job_id', lastJobId)
+      .eq('status', 'failed')
+      .select('id');
+
+    if (resetError) throw resetError;
+
+    const resetCount = resetRows?.length || 0;
+    if (resetCount === 0) {
+      showToast("No failed rows to retry", "error");
+      updateRetryButton(0);
+      return;
+    }
+
+    const { data: job, error: jobError } = await client.database
+      .from('jobs')
+      .select('failed, current, destination_stats')
+      .eq('id', lastJobId)
+      .single();
+
+    if (jobError) throw jobError;
+
+    const { error: updateError } = await client.database
+      .from('jobs')
+      .update({
+        status: 'running',
+        failed: Math.max(job.failed - resetCount, 0),
+        current: Math.max(job.current - resetCount, 0),
+        // Every failed destination is sent again and recounted
+        destination_stats: Object.fromEntries(Object.entries(job.destination_stats || {})
+          .map(([key, stats]) => [key, { ...stats, failed: 0 }])),
+        end_time: null
+      })
+      .eq('id', lastJobId);
+
+    if (updateError) throw updateError;
+
+    const { error: invokeError } = await client.functions.invoke('process-job', {
+      body: { jobId: lastJobId }
+    });
+
+    if (invokeError) throw invokeError;
+
+    currentJobId = lastJobId;
+    updateRetryButton(0);
+    setActiveStep(3);
+    updateSendButton("sending");
+    showToast(`Retrying ${resetCount} failed rows`, "success");
+    pollJobStatus();
+  } catch (error) {
+    console.error("Retry error:", error);
+    retryBtn.disabled = false;
+    showToast("Failed to retry rows", "error");
+  }
+}
+
+retryBtn.addEventListener("click", retryFailedRows);
+
+// ========================================
+// Edit / Delete Posted Messages (server jobs)
+// ========================================
+function updatePostedButtons() {
+  const show = runMode === "server" && !!postedJobId && !currentJobId;
+  editPostedBtn.classList.toggle("hidden", !show);
+  deletePostedBtn.classList.toggle("hidden", !show);
+  updateExportLinks(runMode === "server" && !currentJobId ? lastJobId : null);
+}
+
+// Download links for the row-by-row results of a server job
+function updateExportLinks(jobId) {
+  exportLinks.classList.toggle("hidden", !jobId);
+  if (!jobId) return;
+  document.getElementById("exportCsv").href = `/api/job/${jobId}/export?format=csv`;
+  document.getElementById("exportJson").href = `/api/job/${jobId}/export?format=json`;
+}
+
+// Start an edit or delete job on the messages of the last send job
+async function startPostedJob(action, body) {
+  if (currentJobId || !postedJobId) return;
+
+  try {
+    const { jobId, total, unmatched } = await serverRequest("POST", `/api/job/${postedJobId}/${action}`, body);
+    updateRetryButton(0);
+    setActiveStep(3);
+    updateSendButton("sending");
+    progressSection.classList.add("visible");
+    updateProgress(0, total, 0, 0);
+    showToast(`${action === "edit" ? "Editing" : "Deleting"} ${total} posted rows${unmatched ? ` (${unmatched} unmatched)` : ""}`, "success");
+    watchServerJob(jobId);
+    updatePostedButtons();
+  } catch (error) {
+    showToast(error.message, "error");
+  }
+}
+
+// Rows are matched to the posted ones by position
+editPostedBtn.addEventListener("click", async () => {
+  if (!validateTemplate() || !validateKeyboard() || currentJobId || !postedJobId) return;
+
+  // Like send jobs, the rows go up as a file rather than in the request
+  let source;
+  try {
+    source = imported || await importRows();
+  } catch (error) {
+    showToast(error.message, "error");
+    return;
+  }
+
+  startPostedJob("edit", {
+    importId: source.importId,
+    sheet: source.sheet,
+    mapping: getMapping(),
+    template: templateInput.value,
+    parseMode: parseModeSelect.value,
+    keyboard: getKeyboard(),
+    uploadId: upload?.uploadId
+  });
+});
+
+deletePostedBtn.addEventListener("click", () => {
+  if (!confirm("Delete every message the last job posted? This cannot be undone.")) return;
+  startPostedJob("delete", {});
+});
+
 // ========================================
 // Job Polling
 // ========================================
+// process-job hands rows out again after this long (its CLAIM_LEASE_MS)
+const CLOUD_CLAIM_LEASE_MS = 5 * 60 * 1000;
+
 function pollJobStatus() {
   if (pollInterval) clearInterval(pollInterval);
+  let lastKick = Date.now();
 
   pollInterval = setInterval(async () => {
     if (!currentJobId) {
@@ -418,7 +2013,7 @@ function pollJobStatus() {
 
     const { data: job, error } = await client.database
       .from('jobs')
-      .select('status, sent, failed, total, current')
+      .select('status, sent, failed, total, current, destination_stats, created_at, updated_at')
       .eq('id', currentJobId)
       .single();
 
@@ -427,13 +2022,36 @@ function pollJobStatus() {
       return;
     }
 
+    // A chain that timed out or crashed stops invoking itself; once its
+    // claims have run out, start it again
+    const idleFor = Date.now() - Date.parse(job.updated_at || job.created_at);
+    if (job.status === 'running' && idleFor > CLOUD_CLAIM_LEASE_MS && Date.now() - lastKick > CLOUD_CLAIM_LEASE_MS) {
+      lastKick = Date.now();
+      client.functions.invoke('process-job', { body: { jobId: currentJobId } })
+        .catch(err => console.warn("Restarting the cloud job failed:", err));
+    }
+
     updateProgress(job.current, job.total, job.sent, job.failed);
-    setStatus(`Cloud Processing: ${job.sent}/${job.total} sent (${Math.round((job.sent / job.total) * 100)}%)`, "loading");
+    renderDestinationProgress(Object.values(job.destination_stats || {}));
+
+    // Leave the button alone while a pause/resume/stop request is in flight
+    const pauseIdle = !pauseBtn.disabled && !pauseBtn.classList.contains("hidden");
+
+    if (job.status === 'paused') {
+      setStatus(`⏸️ Paused: ${job.sent}/${job.total} sent`, "");
+      if (pauseIdle) updatePauseButton("paused");
+    } else {
+      setStatus(`Cloud Processing: ${job.sent}/${job.total} sent (${Math.round((job.sent / job.total) * 100)}%)`, "loading");
+      if (pauseIdle) updatePauseButton("running");
+    }
 
     if (job.status === 'completed' || job.status === 'stopped' || job.status === 'failed') {
       clearInterval(pollInterval);
       pollInterval = null;
+      lastJobId = currentJobId;
       currentJobId = null;
+      updateRetryButton(job.failed);
+      loadHistory();
 
       if (job.status === 'completed') {
         setStatus(`✅ Cloud job completed! ${job.sent} sent.`, "success");
@@ -457,6 +2075,217 @@ function updateProgress(current, total, sent, failed) {
   progressPercent.textContent = `${percent}%`;
 }
 
+// Per-destination breakdown, only worth showing for more than one destination
+function renderDestinationProgress(stats = []) {
+  destinationProgress.innerHTML = stats.length < 2 ? "" : stats.map(s => `
+    <li>
+      <span>${escapeHtml(formatDestination(s))}</span>
+      <span>${s.sent} sent${s.skipped ? ` · ${s.skipped} skipped` : ""}${s.failed ? ` · <span class="failed">${s.failed} failed</span>` : ""}</span>
+    </li>`).join("");
+}
+
+// ========================================
+// Job History
+// ========================================
+// Server jobs come from /api/jobs (kept for JOB_RETENTION_HOURS), cloud
+// jobs from the jobs / job_rows tables. Both are turned into the same shape.
+const KIND_ICONS = { send: "📨", edit: "✏️", delete: "🗑️" };
+const KIND_VERBS = { send: "sent", edit: "edited", delete: "deleted" };
+const CLOUD_JOB_COLUMNS = "id, status, total, sent, failed, current, destinations, channel_id, file_name, created_at, end_time";
+const UPLOAD_STALE_MS = 30 * 60 * 1000; // A job still 'uploading' after this lost its tab mid-upload
+
+function cloudJobSummary(job) {
+  const destinations = job.destinations || parseDestinations(job.channel_id || "").destinations;
+  return {
+    id: job.id,
+    kind: "send",
+    status: job.status,
+    fileName: job.file_name || null,
+    destinations: destinations.map(formatDestination),
+    total: job.total,
+    sent: job.sent || 0,
+    failed: job.failed || 0,
+    skipped: 0,
+    startTime: job.created_at,
+    endTime: job.end_time || null,
+    durationMs: job.end_time ? Date.parse(job.end_time) - Date.parse(job.created_at) : null
+  };
+}
+
+async function fetchHistory() {
+  if (runMode === "server") {
+    const { jobs } = await serverRequest("GET", "/api/jobs");
+    return jobs;
+  }
+
+  // Jobs whose tab closed before every row was in would never start
+  await client.database
+    .from('jobs')
+    .update({ status: 'failed', end_time: new Date().toISOString() })
+    .eq('status', 'uploading')
+    .lt('created_at', new Date(Date.now() - UPLOAD_STALE_MS).toISOString());
+
+  const { data, error } = await client.database
+    .from('jobs')
+    .select(CLOUD_JOB_COLUMNS)
+    .order('created_at', { ascending: false })
+    .limit(50);
+
+  if (error) throw error;
+  return data.map(cloudJobSummary);
+}
+
+async function fetchJobDetails(jobId) {
+  if (runMode === "server") {
+    return serverRequest("GET", `/api/job/${jobId}/details`);
+  }
+
+  // Never select bot_token, it is not needed here
+  const { data: job, error: jobError } = await client.database
+    .from('jobs')
+    .select(`${CLOUD_JOB_COLUMNS}, mapping, template, parse_mode, message_type`)
+    .eq('id', jobId)
+    .single();
+
+  if (jobError) throw jobError;
+
+  const { data: jobRows, error: rowsError } = await client.database
+    .from('job_rows')
+    .select('row_index, data, status, error, deliveries')
+    .eq('job_id', jobId)
+    .order('row_index', { ascending: true });
+
+  if (rowsError) throw rowsError;
+
+  const titleColumn = job.mapping?.title;
+  return {
+    ...cloudJobSummary(job),
+    mapping: job.mapping,
+    template: job.template,
+    parseMode: job.parse_mode,
+    messageType: job.message_type,
+    logs: [], // Cloud jobs keep per-row outcomes, not a log
+    rows: jobRows.map(row => ({
+      row: row.row_index + 1,
+      title: titleColumn ? row.data?.[titleColumn] ?? null : null,
+      status: row.status,
+      error: row.error,
+      deliveries: (row.deliveries || []).map(delivery => ({
+        destination: formatDestination(delivery),
+        status: delivery.status,
+        error: delivery.error
+      }))
+    }))
+  };
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "";
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function jobCounts(job) {
+  return [
+    `${job.sent}/${job.total} ${KIND_VERBS[job.kind] || "sent"}`,
+    job.failed ? `${job.failed} failed` : "",
+    job.skipped ? `${job.skipped} skipped` : ""
+  ].filter(Boolean).join(" · ");
+}
+
+async function loadHistory() {
+  if (runMode === "cloud" && !client) return;
+
+  try {
+    const jobs = await fetchHistory();
+    historyList.innerHTML = jobs.length === 0
+      ? '<li class="history-empty">No jobs yet</li>'
+      : jobs.map(job => `
+        <li>
+          <button type="button" class="history-item" data-job-id="${escapeHtml(job.id)}">
+            <span>${KIND_ICONS[job.kind] || "📨"} ${escapeHtml(job.fileName || `Job ${job.id.slice(0, 8)}`)}</span>
+            <span class="history-status ${escapeHtml(job.status)}">${escapeHtml(job.status)}</span>
+            <span class="history-meta">
+              ${new Date(job.startTime).toLocaleString()} → ${escapeHtml(job.destinations.join(", ") || "row destinations")}
+            </span>
+            <span class="history-meta">${jobCounts(job)}${job.durationMs !== null ? ` · ${formatDuration(job.durationMs)}` : ""}${job.owner && job.owner !== currentUser?.username ? ` · by ${escapeHtml(job.owner)}` : ""}</span>
+          </button>
+        </li>`).join("");
+  } catch (error) {
+    console.error("History error:", error);
+    historyList.innerHTML = `<li class="history-empty">Could not load jobs: ${escapeHtml(error.message)}</li>`;
+  }
+}
+
+async function showJobDetails(jobId) {
+  try {
+    const job = await fetchJobDetails(jobId);
+    const mapping = Object.entries(job.mapping || {})
+      .filter(([field, column]) => column && typeof column === "string")
+      .map(([field, column]) => `<dt>${escapeHtml(field)}</dt><dd>${escapeHtml(column)}</dd>`)
+      .join("");
+
+    historyDetailBody.innerHTML = `
+      <h4>${KIND_ICONS[job.kind] || "📨"} ${escapeHtml(job.fileName || `Job ${job.id.slice(0, 8)}`)}</h4>
+      <dl>
+        <dt>Status</dt><dd>${escapeHtml(job.status)}</dd>
+        <dt>Started</dt><dd>${new Date(job.startTime).toLocaleString()}</dd>
+        <dt>Duration</dt><dd>${formatDuration(job.durationMs) || "—"}</dd>
+        <dt>Destinations</dt><dd>${escapeHtml(job.destinations.join(", ") || "row destinations")}</dd>
+        <dt>Result</dt><dd>${jobCounts(job)}</dd>
+        <dt>Message</dt><dd>${escapeHtml(job.messageType || "photo")}, ${escapeHtml(job.parseMode || "HTML")}</dd>
+        ${runMode === "server" ? `<dt>Export</dt><dd>
+          <a class="link-btn" href="/api/job/${escapeHtml(job.id)}/export?format=csv" download>CSV</a>
+          <a class="link-btn" href="/api/job/${escapeHtml(job.id)}/export?format=json" download>JSON</a>
+        </dd>` : ""}
+      </dl>
+      <h4>Mapping</h4>
+      <dl>${mapping}</dl>
+      <h4>Rows</h4>
+      <div class="validation-table-wrapper">
+        <table class="validation-table visible">
+          <thead><tr><th>#</th><th>Title</th><th>Outcome</th></tr></thead>
+          <tbody>${job.rows.map(row => `
+            <tr class="${row.status === "failed" ? "error" : row.status === "skipped" ? "warning" : ""}">
+              <td>${row.row}</td>
+              <td>${escapeHtml(String(row.title ?? ""))}</td>
+              <td>
+                ${escapeHtml(row.status)}${row.error ? `: ${escapeHtml(row.error)}` : ""}
+                ${row.deliveries.length > 1 ? `<ul>${row.deliveries.map(delivery =>
+                  `<li>${escapeHtml(delivery.destination)}: ${escapeHtml(delivery.status)}</li>`).join("")}</ul>` : ""}
+              </td>
+            </tr>`).join("")}
+          </tbody>
+        </table>
+      </div>
+      <h4>Log</h4>
+      <div class="history-log">${job.logs.length
+        ? job.logs.map(entry => `${new Date(entry.time).toLocaleTimeString()}  ${escapeHtml(entry.message)}`).join("\n")
+        : "No log for cloud jobs"}</div>`;
+
+    historyList.classList.add("hidden");
+    historyDetail.classList.remove("hidden");
+  } catch (error) {
+    showToast(`Could not load job: ${error.message}`, "error");
+  }
+}
+
+historyList.addEventListener("click", e => {
+  const item = e.target.closest(".history-item");
+  if (item) showJobDetails(item.dataset.jobId);
+});
+
+document.getElementById("historyBack").addEventListener("click", () => {
+  historyDetail.classList.add("hidden");
+  historyList.classList.remove("hidden");
+});
+
+document.getElementById("historyRefresh").addEventListener("click", () => {
+  historyDetail.classList.add("hidden");
+  historyList.classList.remove("hidden");
+  loadHistory();
+});
+
 // ========================================
 // Status & Toast
 // ========================================
@@ -483,11 +2312,92 @@ function showToast(message, type = "success") {
   }, 3000);
 }
 
+// ========================================
+// Sign In
+// ========================================
+// `target` "cloud" signs in to InsForge (by email) for cloud jobs
+function showLogin(target = "server") {
+  loginTarget = target;
+  document.querySelector('label[for="loginUsername"]').textContent = target === "cloud" ? "Email" : "Username";
+  if (eventSource) eventSource.close();
+  eventSource = null;
+  mainCard.classList.add("hidden");
+  historyCard.classList.add("hidden");
+  document.getElementById("userBar").classList.add("hidden");
+  loginCard.classList.remove("hidden");
+  document.getElementById("loginUsername").focus();
+}
+
+function showSignedIn(user) {
+  currentUser = user;
+  loginCard.classList.add("hidden");
+  mainCard.classList.remove("hidden");
+  historyCard.classList.remove("hidden");
+
+  // Static deployments without accounts have no user
+  document.getElementById("userBar").classList.toggle("hidden", !user);
+  if (user) {
+    document.getElementById("userName").textContent = user.role === "admin" ? `${user.username} (admin)` : user.username;
+  }
+}
+
+loginCard.addEventListener("submit", async event => {
+  event.preventDefault();
+  loginStatus.textContent = "Signing in...";
+  loginStatus.className = "status loading";
+
+  try {
+    if (loginTarget === "cloud") {
+      const { error } = await client.auth.signInWithPassword({
+        email: document.getElementById("loginUsername").value.trim(),
+        password: document.getElementById("loginPassword").value
+      });
+      if (error) throw new Error(error.message || "Sign in failed");
+
+      localStorage.setItem("run_mode", "cloud");
+      window.location.reload();
+      return;
+    }
+
+    const res = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        username: document.getElementById("loginUsername").value.trim(),
+        password: document.getElementById("loginPassword").value
+      })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Sign in failed (${res.status})`);
+
+    window.location.reload();
+  } catch (error) {
+    loginStatus.textContent = `❌ ${error.message}`;
+    loginStatus.className = "status error";
+  }
+});
+
+document.getElementById("signOutBtn").addEventListener("click", async () => {
+  if (cloudUser) await client.auth.signOut().catch(() => {});
+  await fetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+  localStorage.removeItem("current_job_id");
+  window.location.reload();
+});
+
 // ========================================
 // Utilities
 // ========================================
+function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Safe in text and in quoted attributes: column headers and sheet names
+// come from uploaded or linked files and end up in value="..." too
 function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+  return escapeHtmlAttribute(text);
 }
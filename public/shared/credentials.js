@@ -0,0 +1,32 @@
+// ========================================
+// Bot Credentials
+// Jobs name their bot by an alias ("default", "news", ...); the token it
+// stands for is only ever read on the server or in a cloud function.
+// ========================================
+
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const TOKEN_PATTERN = /^(\d+):[\w-]{30,}$/;
+
+// Lower-cased alias; throws when it is not 1-32 letters, digits, "-" or "_"
+export function normalizeAlias(value) {
+  const alias = String(value ?? "").trim().toLowerCase();
+  if (!ALIAS_PATTERN.test(alias)) {
+    throw new Error("Bot name must be 1-32 letters, digits, dashes or underscores");
+  }
+  return alias;
+}
+
+export function isBotToken(value) {
+  return TOKEN_PATTERN.test(String(value ?? "").trim());
+}
+
+// The numeric bot ID before the ":"; not a secret
+export function botIdOf(token) {
+  return String(token).split(":")[0];
+}
+
+// Bot API URLs carry the token, and network errors quote the URL; strip it
+// from any message that is logged, stored or sent to a client
+export function redactToken(text) {
+  return String(text ?? "").replace(/bot\d+:[\w-]+/g, "bot<redacted>");
+}
@@ -0,0 +1,80 @@
+// ========================================
+// Destinations
+// Parses where a job posts to: channel / group IDs or @usernames, each with
+// an optional forum topic, written as "-1001234567890:42" or "@channel/42".
+// ========================================
+
+const CHAT_ID_PATTERN = /^(-?\d+|@[a-zA-Z][a-zA-Z0-9_]{4,31})(?:[:/](\d+))?$/;
+
+// "chatId" or "chatId:threadId", used to key per-destination results
+export function destinationKey({ chatId, threadId }) {
+  return threadId ? `${chatId}:${threadId}` : String(chatId);
+}
+
+export function formatDestination({ chatId, threadId }) {
+  return threadId ? `${chatId} (topic ${threadId})` : String(chatId);
+}
+
+// One destination from a string or { chatId, threadId }; null when invalid
+export function parseDestination(value) {
+  if (value && typeof value === "object") {
+    return parseDestination(value.threadId ? `${value.chatId}:${value.threadId}` : String(value.chatId ?? ""));
+  }
+
+  const match = String(value ?? "").trim().match(CHAT_ID_PATTERN);
+  if (!match) return null;
+
+  return { chatId: match[1], threadId: match[2] ? Number(match[2]) : null };
+}
+
+// A list separated by commas, semicolons or newlines (or an array);
+// returns the unique destinations plus the entries that did not parse
+export function parseDestinations(input) {
+  const entries = Array.isArray(input)
+    ? input
+    : String(input ?? "").split(/[,;\n]/);
+
+  const destinations = [];
+  const invalid = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    if (typeof entry === "string" && !entry.trim()) continue;
+
+    const destination = parseDestination(entry);
+    if (!destination) {
+      invalid.push(typeof entry === "string" ? entry.trim() : JSON.stringify(entry));
+      continue;
+    }
+
+    const key = destinationKey(destination);
+    if (!seen.has(key)) {
+      seen.add(key);
+      destinations.push(destination);
+    }
+  }
+
+  return { destinations, invalid };
+}
+
+// Destinations for one row: the mapped destination column when it has a
+// value, otherwise the job's default destinations
+export function rowDestinations(row, mapping, defaults = []) {
+  const value = mapping?.destination ? row[mapping.destination] : undefined;
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return { destinations: defaults, invalid: [] };
+  }
+  return parseDestinations(String(value));
+}
+
+// t.me link to a posted message, or null for chats without one (private
+// chats and basic groups). Channels and supergroups have "-100" IDs.
+export function messageLink({ chatId, threadId }, messageId) {
+  if (!messageId) return null;
+
+  const chat = String(chatId);
+  const topic = threadId ? `${threadId}/` : "";
+  if (chat.startsWith("@")) return `https://t.me/${chat.slice(1)}/${topic}${messageId}`;
+  if (chat.startsWith("-100")) return `https://t.me/c/${chat.slice(4)}/${topic}${messageId}`;
+  return null;
+}
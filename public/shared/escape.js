@@ -0,0 +1,58 @@
+// ========================================
+// Escaping
+// Makes CSV values safe to interpolate into Telegram HTML / MarkdownV2.
+// ========================================
+
+export const ALLOWED_URL_SCHEMES = ["http", "https", "tg"];
+
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+export function escapeHtmlAttribute(value) {
+  return escapeHtml(value)
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function escapeMarkdownV2(value) {
+  return String(value ?? "").replace(MARKDOWN_V2_SPECIAL, "\\$&");
+}
+
+// Inside (...) of a MarkdownV2 link only ")" and "\" need escaping
+export function escapeMarkdownV2Url(value) {
+  return String(value ?? "").replace(/[)\\]/g, "\\$&");
+}
+
+// Inside `code` / ```pre``` only "`" and "\" need escaping
+export function escapeMarkdownV2Code(value) {
+  return String(value ?? "").replace(/[`\\]/g, "\\$&");
+}
+
+// True for absolute URLs whose scheme is on the allow-list
+export function isSafeUrl(value) {
+  const match = String(value ?? "").trim().match(/^([a-z][a-z0-9+.-]*):/i);
+  return !!match && ALLOWED_URL_SCHEMES.includes(match[1].toLowerCase());
+}
+
+// Escape a value for the given parse mode and template context
+// (context: "text", "attribute", "url", "url-part" or "code"). A "url" is a
+// whole link and needs an allowed scheme; a "url-part" comes after the
+// start of one.
+export function escapeFor(value, parseMode = "HTML", context = "text") {
+  if (context === "url" && !isSafeUrl(value)) return "";
+  const text = context === "url" ? String(value).trim() : value;
+
+  if (parseMode === "MarkdownV2") {
+    if (context === "url" || context === "url-part") return escapeMarkdownV2Url(text);
+    if (context === "code") return escapeMarkdownV2Code(text);
+    return escapeMarkdownV2(text);
+  }
+
+  return context === "text" || context === "code" ? escapeHtml(text) : escapeHtmlAttribute(text);
+}
@@ -0,0 +1,168 @@
+// ========================================
+// Importers
+// Turns the sources a catalogue lives in into the { rows, headers } that the
+// mapping works on: CSV / TSV (parsed by Papa in the browser and csv-parser
+// on the server), XLSX sheets, JSON arrays and JSON lines. Every cell ends up
+// a string, like a CSV cell.
+// ========================================
+
+export const IMPORT_FORMATS = ["csv", "tsv", "xlsx", "json", "jsonl"];
+
+// What the file picker accepts
+export const IMPORT_EXTENSIONS = [".csv", ".tsv", ".tab", ".xlsx", ".json", ".jsonl", ".ndjson"];
+
+const EXTENSION_FORMATS = {
+  csv: "csv",
+  txt: "csv",
+  tsv: "tsv",
+  tab: "tsv",
+  xlsx: "xlsx",
+  json: "json",
+  jsonl: "jsonl",
+  ndjson: "jsonl"
+};
+
+const CONTENT_TYPE_FORMATS = [
+  [/text\/tab-separated-values/i, "tsv"],
+  [/spreadsheetml\.sheet/i, "xlsx"],
+  [/(application|text)\/(x-)?ndjson|jsonl/i, "jsonl"],
+  [/json/i, "json"],
+  [/text\/(csv|plain)/i, "csv"]
+];
+
+// Format from a file name, falling back to a Content-Type; null when unknown
+export function importFormat(name, contentType = "") {
+  const extension = String(name ?? "").split(/[?#]/)[0].split(".").pop().toLowerCase();
+  if (EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension];
+
+  const match = CONTENT_TYPE_FORMATS.find(([pattern]) => pattern.test(contentType));
+  return match ? match[1] : null;
+}
+
+// Google Sheets links -> their CSV export. Both "Publish to the web" links
+// (/d/e/<id>/pubhtml) and sheets shared with "anyone with the link"
+// (/d/<id>/edit#gid=<tab>) work; other URLs are returned unchanged.
+export function sheetCsvUrl(url) {
+  const match = String(url).match(/^https:\/\/docs\.google\.com\/spreadsheets\/d\/(e\/)?([\w-]+)/);
+  if (!match) return url;
+
+  const gid = String(url).match(/[#&?]gid=(\d+)/)?.[1];
+  const tab = gid ? `&gid=${gid}` : "";
+  return match[1]
+    ? `https://docs.google.com/spreadsheets/d/e/${match[2]}/pub?output=csv${tab}`
+    : `https://docs.google.com/spreadsheets/d/${match[2]}/export?format=csv${tab}`;
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Unique, non-empty column names: blanks become "Column 3", repeats "Name (2)"
+export function uniqueHeaders(names) {
+  const seen = new Map();
+  return names.map((name, index) => {
+    const base = String(name ?? "").trim() || `Column ${index + 1}`;
+    const count = (seen.get(base) ?? 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base} (${count})`;
+  });
+}
+
+export function isBlankRow(cells) {
+  return cells.every(cell => cellText(cell).trim() === "");
+}
+
+// XLSX cells hold dates and numbers as numbers. The server's reader
+// (lib/xlsx.js) and SheetJS in the browser both turn them into text here, so
+// a workbook gives the same rows wherever it is parsed.
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+// Day serial -> "YYYY-MM-DD", with " HH:MM" when it has a time
+export function excelDate(serial) {
+  const iso = new Date(EXCEL_EPOCH_MS + Math.round(serial * 86400000)).toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+}
+
+// The stored number without floating point noise (0.1 + 0.2 -> "0.3")
+export function excelNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? String(Number(number.toPrecision(15))) : String(value);
+}
+
+// A grid whose first non-empty row names the columns (XLSX, JSON arrays)
+export function tableFromGrid(grid) {
+  const start = grid.findIndex(cells => !isBlankRow(cells));
+  if (start === -1) return { rows: [], headers: [] };
+
+  const [first, ...rest] = grid.slice(start);
+  const width = rest.reduce((max, cells) => Math.max(max, cells.length), first.length);
+  const headers = uniqueHeaders(Array.from({ length: width }, (_, index) => first[index]));
+
+  const rows = rest
+    .filter(cells => !isBlankRow(cells))
+    .map(cells => Object.fromEntries(headers.map((header, index) => [header, cellText(cells[index])])));
+
+  return { rows, headers };
+}
+
+// JSON objects -> rows; the columns are every key in the order first seen.
+// Nested values are kept as JSON text.
+export function tableFromRecords(records) {
+  if (records.length > 0 && Array.isArray(records[0])) return tableFromGrid(records);
+
+  const headers = [];
+  const seen = new Set();
+  for (const record of records) {
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      throw new Error("Every entry must be an object of column → value");
+    }
+    for (const key of Object.keys(record)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    }
+  }
+
+  const rows = records.map(record => Object.fromEntries(headers.map(header => [header, cellText(record[header])])));
+  return { rows, headers };
+}
+
+// A JSON array, an API response with the array in a property such as
+// { "data": [...] }, or one JSON object per line
+export function parseJsonTable(text) {
+  const source = String(text).replace(/^\uFEFF/, "").trim();
+  if (!source) throw new Error("The file is empty");
+
+  let parsed;
+  try {
+    parsed = JSON.parse(source);
+  } catch (err) {
+    parsed = undefined;
+  }
+
+  if (Array.isArray(parsed)) return tableFromRecords(parsed);
+  if (parsed && typeof parsed === "object") {
+    const list = Object.values(parsed).find(Array.isArray);
+    if (!list) throw new Error("The JSON has no array of rows");
+    return tableFromRecords(list);
+  }
+
+  return parseJsonLines(source);
+}
+
+export function parseJsonLines(text) {
+  const records = [];
+  String(text).replace(/^\uFEFF/, "").split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error(`Line ${index + 1} is not valid JSON: ${err.message}`);
+    }
+  });
+  if (records.length === 0) throw new Error("The file is empty");
+  return tableFromRecords(records);
+}
@@ -0,0 +1,77 @@
+// ========================================
+// Inline Keyboards
+// Turns link columns into inline_keyboard buttons under a post instead of
+// <a> links in the caption. A job keyboard looks like:
+//   {
+//     buttons: [
+//       { label: "👁️ View", field: "view" },      // a mapped link field
+//       { label: "📄 Docs", column: "docs_url" }   // any CSV column
+//     ],
+//     perRow: 2
+//   }
+// ========================================
+
+import { isSafeUrl } from "./escape.js";
+
+export const LINK_FIELDS = ["view", "download"];
+export const MAX_BUTTONS_PER_ROW = 8;
+
+export const DEFAULT_KEYBOARD = {
+  buttons: [
+    { label: "👁️ View", field: "view" },
+    { label: "⬇️ Download", field: "download" }
+  ],
+  perRow: 2
+};
+
+// Validate user input and return a clean keyboard (or null for no buttons)
+export function normalizeKeyboard(input) {
+  if (!input || !Array.isArray(input.buttons) || input.buttons.length === 0) return null;
+
+  const buttons = input.buttons.map((button, index) => {
+    const label = String(button?.label ?? "").trim();
+    if (!label) throw new Error(`Button ${index + 1} has no label`);
+
+    if (button.field) {
+      if (!LINK_FIELDS.includes(button.field)) {
+        throw new Error(`Button "${label}" uses unknown field "${button.field}"`);
+      }
+      return { label, field: button.field };
+    }
+
+    const column = String(button.column ?? "").trim();
+    if (!column) throw new Error(`Button "${label}" has no field or column`);
+    return { label, column };
+  });
+
+  const perRow = Number(input.perRow ?? DEFAULT_KEYBOARD.perRow);
+  if (!Number.isInteger(perRow) || perRow < 1 || perRow > MAX_BUTTONS_PER_ROW) {
+    throw new Error(`Buttons per row must be between 1 and ${MAX_BUTTONS_PER_ROW}`);
+  }
+
+  return { buttons, perRow };
+}
+
+// The URL a button links to for this row ("" when empty)
+export function buttonUrl(button, row, mapping = {}) {
+  const column = button.column || mapping[button.field];
+  const value = column ? row[column] : undefined;
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+// reply_markup for one row, or null when none of its buttons has a usable URL
+export function buildKeyboard(row, mapping, keyboard) {
+  if (!keyboard) return null;
+
+  const buttons = keyboard.buttons
+    .map(button => ({ text: button.label, url: buttonUrl(button, row, mapping) }))
+    .filter(button => button.url && isSafeUrl(button.url));
+
+  if (buttons.length === 0) return null;
+
+  const inline_keyboard = [];
+  for (let i = 0; i < buttons.length; i += keyboard.perRow) {
+    inline_keyboard.push(buttons.slice(i, i + keyboard.perRow));
+  }
+  return { inline_keyboard };
+}
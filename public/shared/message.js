@@ -0,0 +1,143 @@
+// ========================================
+// Message Types
+// Turns a row into the Telegram method and payload that posts it, so every
+// sender (server, cloud function, Vercel handler) builds messages the same way.
+// ========================================
+
+import { CAPTION_LIMIT, MESSAGE_LIMIT } from "./telegram-format.js";
+import { renderCaption } from "./template.js";
+import { buildKeyboard } from "./keyboard.js";
+
+export const MESSAGE_TYPES = ["auto", "photo", "album", "document", "video", "animation", "text"];
+
+export const ALBUM_LIMIT = 10; // Telegram accepts 2-10 items per media group
+
+const METHODS = {
+  photo: "sendPhoto",
+  album: "sendMediaGroup",
+  document: "sendDocument",
+  video: "sendVideo",
+  animation: "sendAnimation",
+  text: "sendMessage"
+};
+
+const VIDEO_EXTENSIONS = ["mp4", "mov", "m4v", "webm", "mkv"];
+
+function cell(row, column) {
+  const value = column ? row[column] : undefined;
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+// A cell holding several URLs separated by whitespace, commas or "|"
+export function splitUrls(value) {
+  return String(value ?? "").split(/[\s,|]+/).filter(Boolean);
+}
+
+function extension(url) {
+  const path = url.split(/[?#]/)[0];
+  const dot = path.lastIndexOf(".");
+  return dot === -1 ? "" : path.slice(dot + 1).toLowerCase();
+}
+
+// The concrete type for a row: its type column, else the job type, with
+// "auto" picked from whichever media columns have values
+export function resolveMessageType(row, mapping, jobType = "auto") {
+  const rowType = cell(row, mapping.type).toLowerCase();
+  const type = MESSAGE_TYPES.includes(rowType) ? rowType : jobType;
+  if (type !== "auto") return type;
+
+  if (splitUrls(cell(row, mapping.gallery)).length > 1) return "album";
+
+  const file = cell(row, mapping.file);
+  if (file) {
+    const ext = extension(file);
+    if (ext === "gif") return "animation";
+    return VIDEO_EXTENSIONS.includes(ext) ? "video" : "document";
+  }
+
+  return cell(row, mapping.image) ? "photo" : "text";
+}
+
+// Caption for media, message text for "text"
+export function messageLimit(type) {
+  return type === "text" ? MESSAGE_LIMIT : CAPTION_LIMIT;
+}
+
+// Build { type, method, payload } for a row; chat_id is added by the sender.
+// Throws when the row lacks the media its type needs. Albums with more than
+// ALBUM_LIMIT images keep the first ones and say how many were left out in
+// `omitted` (the pre-flight check warns about these rows too).
+export function buildMessage(row, mapping, { type = "auto", caption = "", parseMode = "HTML" } = {}) {
+  const resolved = resolveMessageType(row, mapping, type);
+  const image = cell(row, mapping.image);
+  const file = cell(row, mapping.file) || image;
+  const formatted = { caption, parse_mode: parseMode };
+
+  switch (resolved) {
+    case "photo":
+      if (!image) throw new Error("No image URL");
+      return { type: resolved, method: METHODS.photo, payload: { photo: image, ...formatted } };
+
+    case "album": {
+      const urls = splitUrls(cell(row, mapping.gallery));
+      if (urls.length === 0 && image) urls.push(image);
+      if (urls.length === 0) throw new Error("No image URLs for the album");
+      if (urls.length === 1) {
+        return { type: "photo", method: METHODS.photo, payload: { photo: urls[0], ...formatted } };
+      }
+
+      // The album caption is the caption of its first item
+      const media = urls.slice(0, ALBUM_LIMIT).map((url, index) => ({
+        type: "photo",
+        media: url,
+        ...(index === 0 && formatted)
+      }));
+      return {
+        type: resolved,
+        method: METHODS.album,
+        payload: { media },
+        ...(urls.length > ALBUM_LIMIT && { omitted: urls.length - ALBUM_LIMIT })
+      };
+    }
+
+    case "document":
+    case "video":
+    case "animation":
+      if (!file) throw new Error(`No ${resolved} URL`);
+      return { type: resolved, method: METHODS[resolved], payload: { [resolved]: file, ...formatted } };
+
+    case "text": {
+      if (!caption.trim()) throw new Error("Message text is empty");
+      const previewUrl = cell(row, mapping.view) || cell(row, mapping.download);
+      return {
+        type: resolved,
+        method: METHODS.text,
+        payload: {
+          text: caption,
+          parse_mode: parseMode,
+          link_preview_options: previewUrl ? { url: previewUrl, prefer_large_media: true } : { is_disabled: false }
+        }
+      };
+    }
+
+    default:
+      throw new Error(`Unknown message type "${resolved}"`);
+  }
+}
+
+// Inline keyboard for a row; media groups cannot carry one, so albums keep
+// their links in the caption
+export function messageKeyboard(row, mapping, { type = "auto", keyboard = null } = {}) {
+  const album = resolveMessageType(row, mapping, type) === "album" && splitUrls(cell(row, mapping.gallery)).length > 1;
+  return album ? null : buildKeyboard(row, mapping, keyboard);
+}
+
+// Caption, keyboard and payload for one row of a job
+export function composeMessage(row, mapping, { template, parseMode = "HTML", type = "auto", keyboard = null } = {}) {
+  const replyMarkup = messageKeyboard(row, mapping, { type, keyboard });
+  const caption = renderCaption(template, row, mapping, { parseMode, buttons: !!replyMarkup });
+  const message = buildMessage(row, mapping, { type, caption, parseMode });
+
+  if (replyMarkup) message.payload.reply_markup = replyMarkup;
+  return { ...message, caption };
+}
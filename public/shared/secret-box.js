@@ -0,0 +1,69 @@
+// ========================================
+// Secret Box
+// AES-256-GCM encryption of bot tokens at rest, used by the server and the
+// cloud functions. Only Web Crypto, so it runs the same in Node and Deno.
+// Sealed values look like "v1.<iv>.<ciphertext>" (base64, the GCM tag is
+// part of the ciphertext). The key is 32 bytes written as 64 hex characters
+// or as base64, e.g. from `openssl rand -hex 32`.
+// ========================================
+
+const VERSION = "v1";
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// The raw key bytes; throws when the value is not a 32-byte key
+export function parseKey(value) {
+  const text = String(value ?? "").trim();
+  let bytes = null;
+
+  if (/^[0-9a-f]{64}$/i.test(text)) {
+    bytes = Uint8Array.from(text.match(/../g), pair => parseInt(pair, 16));
+  } else {
+    try {
+      bytes = fromBase64(text);
+    } catch (e) {
+      bytes = null;
+    }
+  }
+
+  if (!bytes || bytes.length !== 32) {
+    throw new Error("Encryption key must be 32 bytes, as 64 hex characters or base64");
+  }
+  return bytes;
+}
+
+function importKey(keyValue) {
+  return crypto.subtle.importKey("raw", parseKey(keyValue), "AES-GCM", false, ["encrypt", "decrypt"]);
+}
+
+export async function seal(keyValue, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    await importKey(keyValue),
+    new TextEncoder().encode(plaintext)
+  );
+  return [VERSION, toBase64(iv), toBase64(new Uint8Array(ciphertext))].join(".");
+}
+
+// Throws when the value was sealed with another key or has been altered
+export async function unseal(keyValue, sealed) {
+  const [version, iv, ciphertext] = String(sealed).split(".");
+  if (version !== VERSION || !iv || !ciphertext) {
+    throw new Error("Unknown sealed value format");
+  }
+
+  const key = await importKey(keyValue);
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(ciphertext));
+    return new TextDecoder().decode(plaintext);
+  } catch (e) {
+    throw new Error("Could not decrypt, the key changed or the value was altered");
+  }
+}
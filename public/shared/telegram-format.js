@@ -0,0 +1,310 @@
+// ========================================
+// Telegram Formatting
+// Parses captions the way Telegram's HTML / MarkdownV2 parser does, so the
+// UI can preview a post and flag captions Telegram would reject.
+// ========================================
+
+export const CAPTION_LIMIT = 1024;
+export const MESSAGE_LIMIT = 4096;
+
+// Tag name -> entity kind (Telegram accepts these aliases)
+const HTML_TAGS = {
+  b: "b", strong: "b",
+  i: "i", em: "i",
+  u: "u", ins: "u",
+  s: "s", strike: "s", del: "s",
+  a: "a",
+  code: "code",
+  pre: "pre",
+  span: "spoiler", "tg-spoiler": "spoiler",
+  blockquote: "blockquote",
+  "tg-emoji": "emoji"
+};
+
+const NAMED_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"' };
+
+const MARKDOWN_RESERVED = "_*[]()~`>#+-=|{}.!";
+
+// Longest markers first so "__" wins over "_" and "```" over "`"
+const MARKDOWN_MARKERS = [
+  ["```", "pre"],
+  ["||", "spoiler"],
+  ["__", "u"],
+  ["*", "b"],
+  ["_", "i"],
+  ["~", "s"],
+  ["`", "code"]
+];
+
+function createParser() {
+  const root = { kind: "root", children: [] };
+  const parser = {
+    root,
+    stack: [root],
+    errors: [],
+    warnings: [],
+    text: "",
+    top() {
+      return parser.stack[parser.stack.length - 1];
+    },
+    flush() {
+      if (parser.text) {
+        parser.top().children.push({ kind: "text", text: parser.text });
+        parser.text = "";
+      }
+    },
+    open(node) {
+      parser.flush();
+      node.children = [];
+      parser.top().children.push(node);
+      parser.stack.push(node);
+    },
+    close() {
+      parser.flush();
+      parser.stack.pop();
+    }
+  };
+  return parser;
+}
+
+function decodeEntity(entity) {
+  if (entity[0] !== "#") return NAMED_ENTITIES[entity];
+  const code = entity[1] === "x" || entity[1] === "X"
+    ? parseInt(entity.slice(2), 16)
+    : parseInt(entity.slice(1), 10);
+  try {
+    return String.fromCodePoint(code);
+  } catch {
+    return undefined;
+  }
+}
+
+function decodeAttribute(value) {
+  return value.replace(/&(#\d+|#x[0-9a-fA-F]+|[a-zA-Z]+);/g, (whole, entity) => decodeEntity(entity) ?? whole);
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([a-zA-Z_-]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const raw = match[2] ?? "";
+    attrs[match[1].toLowerCase()] = decodeAttribute(raw.replace(/^["']|["']$/g, ""));
+  }
+  return attrs;
+}
+
+// ========================================
+// HTML
+// ========================================
+const TAG_PATTERN = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[a-zA-Z_-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*)\s*\/?>/;
+
+function parseHtml(source) {
+  const parser = createParser();
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === "<") {
+      const match = source.slice(i).match(TAG_PATTERN);
+      if (!match) {
+        parser.errors.push(`Unescaped "<" at position ${i + 1} (use &lt;)`);
+        parser.text += ch;
+        i++;
+        continue;
+      }
+
+      const [whole, closing, rawName, rawAttrs] = match;
+      const tag = rawName.toLowerCase();
+      i += whole.length;
+
+      if (!HTML_TAGS[tag]) {
+        parser.errors.push(`Unsupported tag <${closing}${tag}>`);
+        continue;
+      }
+
+      if (closing) {
+        const top = parser.top();
+        if (top.tag === tag) {
+          parser.close();
+        } else if (top === parser.root) {
+          parser.errors.push(`End tag </${tag}> has no matching start tag`);
+        } else {
+          parser.errors.push(`End tag </${tag}> found while <${top.tag}> is still open`);
+        }
+        continue;
+      }
+
+      const attrs = parseAttributes(rawAttrs);
+      if (tag === "span" && attrs.class !== "tg-spoiler") {
+        parser.errors.push('<span> is only allowed with class="tg-spoiler"');
+      }
+      if (tag === "a" && !attrs.href) {
+        parser.errors.push("<a> tag without an href");
+      }
+      parser.open({ kind: HTML_TAGS[tag], tag, attrs });
+      continue;
+    }
+
+    if (ch === "&") {
+      const match = source.slice(i).match(/^&(#\d+|#x[0-9a-fA-F]+|[a-zA-Z]+);/);
+      const decoded = match && decodeEntity(match[1]);
+      if (decoded !== undefined && decoded !== null) {
+        parser.text += decoded;
+        i += match[0].length;
+        continue;
+      }
+      if (match) {
+        parser.errors.push(`Unsupported HTML entity ${match[0]}`);
+      } else {
+        parser.warnings.push(`Unescaped "&" at position ${i + 1} (use &amp;)`);
+      }
+    }
+
+    parser.text += ch;
+    i++;
+  }
+
+  parser.flush();
+  for (const node of parser.stack.slice(1)) {
+    parser.errors.push(`Unclosed tag <${node.tag}>`);
+  }
+
+  return parser;
+}
+
+// ========================================
+// MarkdownV2
+// ========================================
+function parseMarkdownV2(source) {
+  const parser = createParser();
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const top = parser.top();
+    const lineStart = i === 0 || source[i - 1] === "\n";
+
+    if (ch === "\\") {
+      if (i + 1 < source.length) {
+        parser.text += source[i + 1];
+      } else {
+        parser.errors.push("Caption ends with a lone backslash");
+      }
+      i += 2;
+      continue;
+    }
+
+    // Inside code only the closing marker is special
+    if (top.kind === "pre" || top.kind === "code") {
+      const marker = top.kind === "pre" ? "```" : "`";
+      if (source.startsWith(marker, i)) {
+        parser.close();
+        i += marker.length;
+      } else {
+        parser.text += ch;
+        i++;
+      }
+      continue;
+    }
+
+    if (ch === "\n" && top.kind === "blockquote" && source[i + 1] !== ">") {
+      parser.close();
+      parser.text += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === ">" && lineStart) {
+      if (top.kind !== "blockquote") parser.open({ kind: "blockquote" });
+      i++;
+      continue;
+    }
+
+    if (ch === "[") {
+      parser.open({ kind: "a", attrs: {} });
+      i++;
+      continue;
+    }
+
+    if (ch === "]" && top.kind === "a") {
+      const match = source.slice(i).match(/^\]\(((?:\\.|[^)\\])*)\)/);
+      if (match) {
+        top.attrs.href = match[1].replace(/\\(.)/g, "$1");
+        parser.close();
+        i += match[0].length;
+        continue;
+      }
+      parser.errors.push(`Link text at position ${i + 1} is not followed by (url)`);
+      parser.close();
+      i++;
+      continue;
+    }
+
+    const marker = MARKDOWN_MARKERS.find(([m]) => source.startsWith(m, i));
+    if (marker) {
+      const [m, kind] = marker;
+      i += m.length;
+      if (top.kind === kind) {
+        parser.close();
+      } else if (kind === "pre") {
+        const newline = source.indexOf("\n", i);
+        const language = newline === -1 ? "" : source.slice(i, newline);
+        parser.open({ kind, attrs: { language } });
+        if (newline !== -1 && !/\s/.test(language)) i = newline + 1;
+      } else {
+        parser.open({ kind, attrs: {} });
+      }
+      continue;
+    }
+
+    if (MARKDOWN_RESERVED.includes(ch)) {
+      parser.errors.push(`Character "${ch}" at position ${i + 1} is reserved and must be escaped with "\\"`);
+    }
+
+    parser.text += ch;
+    i++;
+  }
+
+  parser.flush();
+  for (const node of parser.stack.slice(1)) {
+    if (node.kind !== "blockquote") {
+      parser.errors.push(node.kind === "a" ? "Unclosed link [" : `Unclosed ${node.kind} entity`);
+    }
+  }
+
+  return parser;
+}
+
+// ========================================
+// Public API
+// ========================================
+function plainText(node) {
+  if (node.kind === "text") return node.text;
+  return node.children.map(plainText).join("");
+}
+
+// Parse formatted text into an entity tree plus Telegram's visible text
+export function parseFormatted(source, parseMode = "HTML") {
+  const parser = parseMode === "MarkdownV2" ? parseMarkdownV2(source) : parseHtml(source);
+  return {
+    tree: parser.root,
+    text: plainText(parser.root),
+    errors: parser.errors,
+    warnings: parser.warnings
+  };
+}
+
+// Check a caption against Telegram's parser and length limit
+export function checkCaption(caption, parseMode = "HTML", limit = CAPTION_LIMIT) {
+  const result = parseFormatted(caption, parseMode);
+  const length = result.text.trim().length;
+  const errors = [...result.errors];
+
+  if (length > limit) {
+    errors.push(`Caption is ${length} characters; Telegram allows ${limit}`);
+  }
+
+  return { ...result, length, limit, errors };
+}
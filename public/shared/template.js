@@ -0,0 +1,338 @@
+// ========================================
+// Caption Templates
+// Shared by server.js, api/send.js, functions/process-job.ts and the UI
+// so every sender renders exactly the same caption.
+// ========================================
+//
+// Syntax:
+//   {{column}}                     value of a CSV column (or mapped field)
+//   {{column|truncate:100|upper}}  value piped through filters
+//   {{#if column}}...{{else}}...{{/if}}
+//   {{#unless column}}...{{/unless}}
+//
+// Mapped fields (title, description, view, download, image) resolve to the
+// column chosen in the mapping; any other name is looked up as a raw column.
+// {{#unless @buttons}} hides links that are shown as inline buttons instead.
+//
+// Values are escaped automatically for where they appear: text, attributes,
+// or link URLs. A value that starts a link must use an allowed scheme or
+// renders empty, and {{#if}} / {{#unless}} on that name treat it as empty
+// too, so the link around it is left out. Values later in the link
+// (https://t.me/{{user}}) are escaped as part of it. Use the "raw" filter, or list a field in
+// mapping.trusted, for pre-formatted HTML.
+
+import { escapeFor } from "./escape.js";
+
+export const PARSE_MODES = ["HTML", "MarkdownV2"];
+
+export const DEFAULT_TEMPLATES = {
+  HTML: `<b>{{title|default:"No Title"}}</b>
+
+{{description}}
+
+{{#unless @buttons}}
+{{#if view}}
+🔗 <a href="{{view}}">View</a>
+{{/if}}
+{{#if download}}
+⬇️ <a href="{{download}}">Download</a>
+{{/if}}
+{{/unless}}`,
+
+  MarkdownV2: `*{{title|default:"No Title"}}*
+
+{{description}}
+
+{{#unless @buttons}}
+{{#if view}}
+🔗 [View]({{view}})
+{{/if}}
+{{#if download}}
+⬇️ [Download]({{download}})
+{{/if}}
+{{/unless}}`
+};
+
+export const DEFAULT_TEMPLATE = DEFAULT_TEMPLATES.HTML;
+
+const FILTERS = {
+  default: (value, fallback = "") => (value.trim() ? value : fallback),
+  truncate: (value, length = "100") => {
+    const max = parseInt(length, 10);
+    const chars = Array.from(value);
+    if (!Number.isFinite(max) || chars.length <= max) return value;
+    return chars.slice(0, Math.max(max - 1, 0)).join("").trimEnd() + "…";
+  },
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  trim: value => value.trim(),
+  escape: (value, _arg, options) => escapeFor(value, options.parseMode, options.context),
+  raw: value => value,
+  urlencode: value => encodeURIComponent(value)
+};
+
+// Filters whose output is already safe and must not be escaped again
+const SAFE_FILTERS = ["escape", "raw"];
+
+FILTERS.uppercase = FILTERS.upper;
+FILTERS.lowercase = FILTERS.lower;
+
+export const FILTER_NAMES = Object.keys(FILTERS);
+
+// ========================================
+// Parsing
+// ========================================
+const TAG_PATTERN = /\{\{\s*([^}]*?)\s*\}\}/g;
+const COMPILE_CACHE_SIZE = 100; // The UI recompiles on every keystroke, so old drafts must fall out
+const compiled = new Map(); // Least recently used first
+
+function splitOutsideQuotes(source, separator) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+
+  for (const ch of source) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  const trimmed = value.trim();
+  const first = trimmed[0];
+  if ((first === '"' || first === "'") && trimmed.endsWith(first) && trimmed.length > 1) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+function parseExpression(source) {
+  const [name, ...filterParts] = splitOutsideQuotes(source, "|");
+  if (!name.trim()) {
+    throw new Error("Empty placeholder {{}} in template");
+  }
+
+  const filters = filterParts.map(part => {
+    const [filterName, ...argParts] = splitOutsideQuotes(part, ":");
+    const key = filterName.trim();
+    if (!FILTERS[key]) {
+      throw new Error(`Unknown filter "${key}" in {{${source}}}`);
+    }
+    return { name: key, arg: argParts.length ? unquote(argParts.join(":")) : undefined };
+  });
+
+  return { name: name.trim(), filters };
+}
+
+// Where a placeholder sits decides how its value is escaped. Inside a link
+// only the placeholder that starts the URL ("url") picks its scheme; the
+// ones after it ("url-part") are a path or query within it.
+function contextAt(prefix, parseMode) {
+  if (parseMode === "MarkdownV2") {
+    const unescaped = prefix.replace(/\\./g, "");
+    const link = unescaped.match(/\]\(([^)]*)$/);
+    if (link) return link[1] ? "url-part" : "url";
+    const fences = (unescaped.match(/```/g) || []).length;
+    const ticks = (unescaped.replace(/```/g, "").match(/`/g) || []).length;
+    return fences % 2 === 1 || ticks % 2 === 1 ? "code" : "text";
+  }
+
+  const lastOpen = prefix.lastIndexOf("<");
+  if (lastOpen === -1 || prefix.lastIndexOf(">") > lastOpen) return "text";
+  const href = prefix.slice(lastOpen).match(/\bhref\s*=\s*["']?([^"'>\s]*)$/i);
+  if (!href) return "attribute";
+  return href[1] ? "url-part" : "url";
+}
+
+function tokenize(template, parseMode) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: "text", value: template.slice(lastIndex, match.index) });
+    }
+
+    const inner = match[1];
+    const block = inner.match(/^(#if|#unless)\s+(.+)$/);
+    if (block) {
+      tokens.push({ type: "open", kind: block[1].slice(1), name: block[2].trim() });
+    } else if (inner === "else") {
+      tokens.push({ type: "else" });
+    } else if (inner === "/if" || inner === "/unless") {
+      tokens.push({ type: "close", kind: inner.slice(1) });
+    } else {
+      tokens.push({ type: "var", context: contextAt(template.slice(0, match.index), parseMode), ...parseExpression(inner) });
+    }
+
+    lastIndex = TAG_PATTERN.lastIndex;
+  }
+
+  if (lastIndex < template.length) {
+    tokens.push({ type: "text", value: template.slice(lastIndex) });
+  }
+
+  // Blocks on a name that starts a link test whether the link is allowed
+  const urlNames = new Set(tokens.filter(token => token.type === "var" && token.context === "url").map(token => token.name));
+  tokens.forEach(token => {
+    if (token.type === "open") token.url = urlNames.has(token.name);
+  });
+
+  stripStandaloneBlocks(tokens);
+  return tokens;
+}
+
+// A block tag alone on its line should not leave an empty line behind
+function stripStandaloneBlocks(tokens) {
+  const standalone = tokens.map((token, i) => {
+    if (token.type === "text" || token.type === "var") return false;
+
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const startsLine = !prev || (prev.type === "text" && (i === 1 ? /(^|\n)[ \t]*$/ : /\n[ \t]*$/).test(prev.value));
+    const endsLine = !next || (next.type === "text" && /^[ \t]*(\r?\n|$)/.test(next.value));
+    return startsLine && endsLine;
+  });
+
+  standalone.forEach((isStandalone, i) => {
+    if (!isStandalone) return;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (prev) prev.value = prev.value.replace(/[ \t]*$/, "");
+    if (next) next.value = next.value.replace(/^[ \t]*\r?\n?/, "");
+  });
+}
+
+function buildTree(tokens) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === "open") {
+      const node = { type: "if", kind: token.kind, name: token.name, url: token.url, then: [], otherwise: [], inElse: false };
+      parent.children.push(node);
+      stack.push({ node, get children() { return node.inElse ? node.otherwise : node.then; } });
+    } else if (token.type === "else") {
+      if (stack.length === 1) throw new Error("{{else}} without a matching {{#if}}");
+      parent.node.inElse = true;
+    } else if (token.type === "close") {
+      if (stack.length === 1) throw new Error(`{{/${token.kind}}} without a matching opening tag`);
+      if (parent.node.kind !== token.kind) {
+        throw new Error(`{{/${token.kind}}} closes {{#${parent.node.kind} ${parent.node.name}}}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new Error(`Unclosed {{#${open.kind} ${open.name}}} in template`);
+  }
+
+  return root.children;
+}
+
+// Parse a template, throwing a descriptive Error when it is malformed
+export function compileTemplate(template, parseMode = "HTML") {
+  const source = String(template ?? "");
+  const key = `${parseMode}\u0000${source}`;
+  let tree = compiled.get(key);
+  if (tree) {
+    compiled.delete(key);
+  } else {
+    tree = buildTree(tokenize(source, parseMode));
+    if (compiled.size >= COMPILE_CACHE_SIZE) compiled.delete(compiled.keys().next().value);
+  }
+  compiled.set(key, tree);
+  return tree;
+}
+
+// ========================================
+// Rendering
+// ========================================
+export function buildContext(row, mapping = {}) {
+  const context = { ...row };
+  for (const [field, column] of Object.entries(mapping)) {
+    if (typeof column === "string" && column) {
+      context[field] = row[column];
+    }
+  }
+  return context;
+}
+
+// Names (mapped fields and their columns) whose values are trusted HTML
+export function trustedNames(mapping = {}) {
+  const names = new Set();
+  for (const field of mapping.trusted || []) {
+    names.add(field);
+    if (typeof mapping[field] === "string" && mapping[field]) names.add(mapping[field]);
+  }
+  return names;
+}
+
+function lookup(context, name) {
+  const value = Object.prototype.hasOwnProperty.call(context, name) ? context[name] : undefined;
+  return value === undefined || value === null ? "" : String(value);
+}
+
+function renderNodes(nodes, context, options) {
+  return nodes.map(node => {
+    if (node.type === "text") return node.value;
+
+    if (node.type === "if") {
+      const value = lookup(context, node.name).trim();
+      const truthy = value !== "" && (!node.url || isAllowedUrl(value));
+      const branch = (node.kind === "if") === truthy ? node.then : node.otherwise;
+      return renderNodes(branch, context, options);
+    }
+
+    const filterOptions = { ...options, context: node.context };
+    let safe = options.trusted.has(node.name);
+    const value = node.filters.reduce((current, filter) => {
+      if (SAFE_FILTERS.includes(filter.name)) safe = true;
+      return FILTERS[filter.name](current, filter.arg, filterOptions);
+    }, lookup(context, node.name));
+
+    if (safe) {
+      return node.context === "url" && !isAllowedUrl(value) ? "" : value;
+    }
+    return escapeFor(value, options.parseMode, node.context);
+  }).join("");
+}
+
+function isAllowedUrl(value) {
+  return escapeFor(value, "HTML", "url") !== "";
+}
+
+export function renderTemplate(template, context, { parseMode = "HTML", trusted = new Set() } = {}) {
+  const output = renderNodes(compileTemplate(template, parseMode), context, { parseMode, trusted });
+  return output.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Render the caption for one CSV row using the job's mapping
+// (options.buttons: the post carries an inline keyboard)
+export function renderCaption(template, row, mapping = {}, options = {}) {
+  const parseMode = options.parseMode || "HTML";
+  const source = template || DEFAULT_TEMPLATES[parseMode] || DEFAULT_TEMPLATE;
+  const context = buildContext(row, mapping);
+  context["@buttons"] = options.buttons ? "yes" : "";
+  return renderTemplate(source, context, { parseMode, trusted: trustedNames(mapping) });
+}
@@ -0,0 +1,189 @@
+// ========================================
+// Pre-flight Validation
+// Checks every row before a job is sent so broken rows are fixed in the
+// source sheet instead of failing halfway through a send.
+// ========================================
+
+import { renderCaption } from "./template.js";
+import { checkCaption } from "./telegram-format.js";
+import { isSafeUrl, ALLOWED_URL_SCHEMES } from "./escape.js";
+import { rowDestinations } from "./destinations.js";
+import {
+  MESSAGE_TYPES,
+  ALBUM_LIMIT,
+  resolveMessageType,
+  buildMessage,
+  messageKeyboard,
+  messageLimit,
+  splitUrls
+} from "./message.js";
+import { buttonUrl } from "./keyboard.js";
+
+export const URL_FIELDS = ["image", "file", "view", "download"];
+export const REQUIRED_FIELDS = ["title"];
+
+// Fields that may name a file from an uploaded ZIP instead of a URL
+const FILE_FIELDS = ["image", "file", "gallery"];
+
+// Uploaded files are matched by name, ignoring folders and case
+export function uploadedFileKey(name) {
+  return String(name).replace(/\\/g, "/").split("/").pop().toLowerCase();
+}
+
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  download: "Download link",
+  view: "View link",
+  image: "Image URL",
+  gallery: "Album image",
+  file: "File URL",
+  type: "Message type",
+  destination: "Destination"
+};
+
+export function isValidUrl(value) {
+  if (!isSafeUrl(value)) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === "tg:" || !!url.hostname;
+  } catch {
+    return false;
+  }
+}
+
+function cell(row, column) {
+  const value = column ? row[column] : undefined;
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+// Returns one result per row ({ row, status, issues }) plus a summary
+export function validateRows(rows, {
+  mapping,
+  template,
+  parseMode = "HTML",
+  messageType = "auto",
+  keyboard = null,
+  files = null,
+  required = REQUIRED_FIELDS
+} = {}) {
+  const seen = { title: new Map(), image: new Map() };
+  const uploaded = files ? new Set(files.map(uploadedFileKey)) : null;
+
+  // A media value is fine as a URL, or as a file name when a ZIP was uploaded
+  const checkMedia = (add, field, value) => {
+    if (isValidUrl(value)) return;
+    if (uploaded && FILE_FIELDS.includes(field) && !/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+      if (!uploaded.has(uploadedFileKey(value))) add("error", field, `${FIELD_LABELS[field]} "${value}" is not in the uploaded ZIP`);
+      return;
+    }
+    add(field === "view" || field === "download" ? "warning" : "error", field,
+      `${FIELD_LABELS[field]} is not a valid ${ALLOWED_URL_SCHEMES.join("/")} URL: ${value}`);
+  };
+
+  const results = rows.map((row, index) => {
+    const rowNumber = index + 1;
+    const issues = [];
+    const add = (level, field, message) => issues.push({ level, field, message });
+
+    for (const field of required) {
+      if (!mapping[field]) {
+        add("error", field, `${FIELD_LABELS[field]} is not mapped to a column`);
+      } else if (!cell(row, mapping[field])) {
+        add("error", field, `${FIELD_LABELS[field]} is empty (column "${mapping[field]}")`);
+      }
+    }
+
+    for (const field of URL_FIELDS) {
+      const value = cell(row, mapping[field]);
+      if (value) checkMedia(add, field, value);
+    }
+
+    // Link fields are checked above; extra buttons link to any column
+    for (const button of keyboard?.buttons || []) {
+      const value = button.column ? buttonUrl(button, row, mapping) : "";
+      if (value && !isValidUrl(value)) {
+        add("warning", "keyboard", `Button "${button.label}" URL is not a valid ${ALLOWED_URL_SCHEMES.join("/")} URL and is left out: ${value}`);
+      }
+    }
+
+    const gallery = splitUrls(cell(row, mapping.gallery));
+    gallery.forEach(url => checkMedia(add, "gallery", url));
+
+    const rowType = cell(row, mapping.type).toLowerCase();
+    if (rowType && !MESSAGE_TYPES.includes(rowType)) {
+      add("warning", "type", `Unknown message type "${rowType}", using the job type instead`);
+    }
+
+    const type = resolveMessageType(row, mapping, messageType);
+    if (type === "album" && gallery.length > ALBUM_LIMIT) {
+      add("warning", "gallery", `Albums hold at most ${ALBUM_LIMIT} images; ${gallery.length - ALBUM_LIMIT} will be left out`);
+    }
+    if (type === "album" && gallery.length > 1 && keyboard) {
+      add("warning", "keyboard", "Albums cannot carry buttons, so this row keeps its links in the caption");
+    }
+
+    if (mapping.destination) {
+      const { invalid } = rowDestinations(row, mapping);
+      if (invalid.length > 0) {
+        add("error", "destination", `Invalid destination: ${invalid.join(", ")} (use a chat ID, @username, optionally ":topic")`);
+      }
+    }
+
+    for (const field of Object.keys(seen)) {
+      const value = cell(row, mapping[field]);
+      if (!value) continue;
+      const key = value.toLowerCase();
+      if (seen[field].has(key)) {
+        add("warning", field, `Duplicate ${FIELD_LABELS[field].toLowerCase()} (same as row ${seen[field].get(key)})`);
+      } else {
+        seen[field].set(key, rowNumber);
+      }
+    }
+
+    let caption = null;
+    try {
+      const buttons = !!messageKeyboard(row, mapping, { type: messageType, keyboard });
+      caption = renderCaption(template, row, mapping, { parseMode, buttons });
+      const check = checkCaption(caption, parseMode, messageLimit(type));
+      check.errors.forEach(message => add("error", "caption", message));
+      check.warnings.forEach(message => add("warning", "caption", message));
+    } catch (err) {
+      add("error", "caption", `Template error: ${err.message}`);
+    }
+
+    // Missing media for the row's message type
+    if (caption !== null) {
+      try {
+        buildMessage(row, mapping, { type: messageType, caption, parseMode });
+      } catch (err) {
+        add("error", type === "text" ? "caption" : "media", err.message);
+      }
+    }
+
+    const status = issues.some(i => i.level === "error")
+      ? "error"
+      : issues.length > 0 ? "warning" : "ok";
+
+    return { row: rowNumber, status, issues };
+  });
+
+  const summary = {
+    total: results.length,
+    ok: results.filter(r => r.status === "ok").length,
+    warnings: results.filter(r => r.status === "warning").length,
+    errors: results.filter(r => r.status === "error").length
+  };
+
+  return { results, summary };
+}
+
+// Original row data plus validation columns, ready for CSV export
+export function buildValidationReport(rows, results) {
+  return rows.map((row, index) => ({
+    source_row: index + 1,
+    ...row,
+    validation_status: results[index].status,
+    validation_issues: results[index].issues.map(i => `[${i.level}] ${i.message}`).join("; ")
+  }));
+}
@@ -1,65 +1,666 @@
 import express from "express";
+import multer from "multer";
 import dotenv from "dotenv";
 import fetch from "node-fetch";
 import crypto from "crypto";
+import { compileTemplate, PARSE_MODES } from "./public/shared/template.js";
+import { MESSAGE_TYPES, ALBUM_LIMIT, composeMessage } from "./public/shared/message.js";
+import { normalizeKeyboard } from "./public/shared/keyboard.js";
+import { JobStore } from "./lib/job-store.js";
+import {
+  MediaStore,
+  attachMedia,
+  requestBody,
+  hasRemoteMedia,
+  shouldReupload,
+  isRemoteUrl,
+  mediaSlots,
+  withMedia,
+  sentFileIds
+} from "./lib/media.js";
+import { FileCache, cacheKey } from "./lib/file-cache.js";
+import { PostHistory, normalizeDedup, itemKey } from "./lib/post-history.js";
+import { sentMessageIds, editCalls } from "./lib/message-edits.js";
+import { RateLimiter } from "./lib/rate-limiter.js";
+import { JobQueue } from "./lib/job-queue.js";
+import { EXPORT_FORMATS, exportRecords, toCsv } from "./lib/export.js";
+import { AuthStore, publicUser } from "./lib/auth.js";
+import { CredentialVault } from "./lib/credentials.js";
+import { ProfileStore, normalizeProfile } from "./lib/profiles.js";
+import { diagnose } from "./lib/diagnostics.js";
+import { ImportStore, fetchSource } from "./lib/imports.js";
+import { importFormat, IMPORT_EXTENSIONS } from "./public/shared/importers.js";
+import { normalizeAlias, isBotToken, redactToken } from "./public/shared/credentials.js";
+import { normalizeSchedule, nextSlot, formatSlot } from "./lib/schedule.js";
+import {
+  parseDestinations,
+  rowDestinations,
+  destinationKey,
+  formatDestination
+} from "./public/shared/destinations.js";
 
 dotenv.config();
 
 const app = express();
 
-// Increase payload size limit for large CSV data
-app.use(express.json({ limit: "100mb" }));
-app.use(express.urlencoded({ limit: "100mb", extended: true }));
+// Rows go up as files through /api/imports, JSON bodies only carry settings
+const JSON_BODY_MAX_MB = parseFloat(process.env.JSON_BODY_MAX_MB ?? "5");
+app.use(express.json({ limit: `${JSON_BODY_MAX_MB}mb` }));
+app.use(express.urlencoded({ limit: `${JSON_BODY_MAX_MB}mb`, extended: true }));
+
+// Body errors as JSON like every other API error
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: `Request body is larger than ${JSON_BODY_MAX_MB} MB, upload the rows as a file to /api/imports` });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON" });
+  }
+  next(err);
+});
 app.use(express.static("public"));
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const CHANNEL_ID = process.env.CHANNEL_ID;
+const DATA_DIR = process.env.DATA_DIR || "data";
+
+// Seals the bot tokens saved through /api/credentials (32 bytes, hex or base64)
+const CREDENTIALS_KEY = process.env.CREDENTIALS_KEY;
+
+// CHANNEL_ID may list several chats ("-100123,@other,-100456:7")
+const DEFAULT_DESTINATIONS = parseDestinations(CHANNEL_ID).destinations;
+
+// Finished jobs are kept this long (0 = keep forever)
+const JOB_RETENTION_HOURS = parseFloat(process.env.JOB_RETENTION_HOURS ?? "1");
+
+const UPLOAD_MAX_MB = parseFloat(process.env.UPLOAD_MAX_MB ?? "200");
+
+// Telegram's limits: ~30 messages per second per bot, 20 per minute per group / channel
+const RATE_GLOBAL_PER_SECOND = parseFloat(process.env.RATE_GLOBAL_PER_SECOND ?? "30");
+const RATE_CHAT_PER_MINUTE = parseFloat(process.env.RATE_CHAT_PER_MINUTE ?? "20");
+
+// Jobs per bot token that post at the same time; the rest are queued
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS ?? "2", 10);
+
+// How long a sign-in lasts
+const SESSION_HOURS = parseFloat(process.env.SESSION_HOURS ?? "168");
+const SESSION_COOKIE = "tsg_session";
+
+// Destinations one connection test may check
+const MAX_DIAGNOSED_DESTINATIONS = 10;
+
+const MAX_TIMER_MS = 2147483647; // setTimeout limit (~24.8 days)
+
+// Past tense of each job kind for logs
+const JOB_VERBS = { send: "sent", edit: "edited", delete: "deleted" };
+
+// Telegram errors meaning a cached file_id is no longer usable
+const STALE_FILE_ID_ERRORS = /wrong file identifier|wrong remote file identifier|FILE_ID_INVALID|FILE_REFERENCE_(EXPIRED|INVALID)/i;
 
 // ========================================
 // JOB MANAGER - Handles background processing
 // ========================================
 class JobManager {
-  constructor() {
+  constructor(store, { retentionMs = 0, media, imports, fileCache, history, limiter, queue, credentials } = {}) {
+    this.store = store;
+    this.credentials = credentials;
+    this.queue = queue;
+    this.media = media;
+    this.imports = imports;
+    this.fileCache = fileCache;
+    this.history = history;
+    this.limiter = limiter;
+    this.retentionMs = retentionMs;
     this.jobs = new Map();
     this.clients = new Map(); // SSE clients per jobId
+    this.running = new Set(); // jobIds with an active processJob loop
+    this.wakers = new Map(); // jobId -> wakes a loop that is paused or waiting for its slot
   }
 
-  createJob(rows, mapping) {
+  createJob(rows, mapping, options = {}) {
     const jobId = crypto.randomUUID();
+    const schedule = options.schedule || null;
     const job = {
       id: jobId,
-      status: "pending",
+      kind: options.kind || "send", // send, edit or delete
+      sourceJob: options.sourceJob || null, // The send job an edit / delete job works on
+      editMedia: !!options.editMedia,
+      priority: options.priority || 0, // Higher runs first when jobs are queued
+      fileName: options.fileName || null, // The CSV the rows came from, for the history
+      owner: options.owner || null, // ID of the user who created the job
+      bot: options.bot || "default", // Alias of the bot token in the credential vault
+      profile: options.profile || null,
+      rates: options.rates || null, // The profile's rate limits, when it has any
+      status: schedule?.startAt && Date.parse(schedule.startAt) > Date.now() ? "scheduled" : "pending",
+      mapping,
+      template: options.template || "",
+      parseMode: options.parseMode || "HTML",
+      messageType: options.messageType || "auto",
+      keyboard: options.keyboard || null,
+      uploadId: options.uploadId || null,
+      dedup: options.dedup || normalizeDedup(null),
+      retryOf: options.retryOf || null,
+      schedule,
+      destinations: options.destinations || DEFAULT_DESTINATIONS,
+      nextSlotAt: null,
+      lastSentAt: null,
       total: rows.length,
       sent: 0,
       failed: 0,
+      skipped: 0,
       current: 0,
+      cacheHits: 0,
       logs: [],
       errors: [],
       startTime: Date.now(),
       endTime: null,
       isPaused: false,
-      isStopped: false
+      isStopped: false,
+      rows: []
     };
 
+    job.rows = rows.map((data, index) => ({
+      data,
+      status: "pending",
+      error: null,
+      attempts: 0,
+      ...(options.sourceRows && { sourceRow: options.sourceRows[index] }), // Delete jobs
+      ...this.resolveDeliveries(job, data, options.deliveries?.[index])
+    }));
+    this.initDestinationStats(job);
+
     this.jobs.set(jobId, job);
+    this.store.create(this.snapshot(job), job.rows);
 
     // Start processing in background
-    this.processJob(jobId, rows, mapping);
+    this.processJob(jobId);
 
     return jobId;
   }
 
+  // Persisted job fields; rows and logs are journaled separately
+  snapshot(job) {
+    const { rows, logs, errors, destinationStats, isPaused, isStopped, ...fields } = job;
+    return fields;
+  }
+
+  // Where one row is posted: the given targets (retries), its destination
+  // column, or the job's default destinations
+  resolveDeliveries(job, data, targets) {
+    const { destinations, invalid } = targets?.length
+      ? { destinations: targets, invalid: [] }
+      : rowDestinations(data, job.mapping, job.destinations);
+
+    let error = null;
+    if (invalid.length > 0) {
+      error = `Invalid destination: ${invalid.join(", ")}`;
+    } else if (destinations.length === 0) {
+      error = "No destination";
+    }
+
+    return {
+      error,
+      deliveries: error ? [] : destinations.map(({ chatId, threadId, messageIds, messageType }) => ({
+        chatId,
+        threadId,
+        ...(messageIds && { messageIds, messageType }), // Edit / delete jobs
+        status: "pending",
+        error: null,
+        attempts: 0
+      }))
+    };
+  }
+
+  // Per-destination totals for progress events and /api/job
+  initDestinationStats(job) {
+    job.destinationStats = {};
+    for (const row of job.rows) {
+      for (const delivery of row.deliveries) {
+        const stats = this.destinationStats(job, delivery);
+        stats.total++;
+        if (delivery.status !== "pending") stats[delivery.status]++;
+      }
+    }
+  }
+
+  destinationStats(job, delivery) {
+    const key = destinationKey(delivery);
+    if (!job.destinationStats[key]) {
+      job.destinationStats[key] = {
+        chatId: delivery.chatId,
+        threadId: delivery.threadId,
+        total: 0,
+        sent: 0,
+        failed: 0,
+        skipped: 0
+      };
+    }
+    return job.destinationStats[key];
+  }
+
+  // Record the outcome of one destination of a row; `fields` carries the
+  // message_ids of a sent post
+  finishDelivery(job, index, delivery, status, error = null, fields = {}) {
+    Object.assign(delivery, { status, error, ...fields });
+    this.destinationStats(job, delivery)[status]++;
+    this.store.row(job.id, index, { deliveries: job.rows[index].deliveries });
+  }
+
+  updateJob(job, fields) {
+    Object.assign(job, fields);
+    this.store.update(job.id, fields);
+  }
+
+  // Record the outcome of one row and update the counters
+  finishRow(job, index, status, error = null) {
+    const row = job.rows[index];
+    Object.assign(row, { status, error });
+    this.store.row(job.id, index, { status, error, attempts: row.attempts });
+    this.countRow(job, row, index);
+  }
+
+  countRow(job, row, index) {
+    if (row.status === "pending") return;
+    job.current++;
+    if (row.status === "sent") {
+      job.sent++;
+    } else if (row.status === "skipped") {
+      job.skipped++;
+    } else if (row.status === "failed") {
+      job.failed++;
+      const failed = row.deliveries.filter(delivery => delivery.status === "failed");
+      if (failed.length === 0) {
+        job.errors.push({ row: index + 1, destination: null, error: row.error });
+      }
+      for (const delivery of failed) {
+        job.errors.push({ row: index + 1, destination: destinationKey(delivery), error: delivery.error });
+      }
+    }
+  }
+
+  // Reload journaled jobs and resume the ones a restart interrupted
+  restore() {
+    for (const { job, rows, logs } of this.store.loadAll()) {
+      Object.assign(job, {
+        rows,
+        logs,
+        errors: [],
+        sent: 0,
+        failed: 0,
+        skipped: 0,
+        current: 0,
+        isPaused: job.status === "paused",
+        isStopped: false
+      });
+
+      // Journals written before jobs had destinations posted to CHANNEL_ID,
+      // and before post history they did not check for duplicates
+      job.destinations ??= DEFAULT_DESTINATIONS;
+      job.dedup ??= { mode: "force", column: null };
+      job.kind ??= "send";
+      job.bot ??= "default";
+      for (const row of rows) {
+        if (row.deliveries) continue;
+        row.deliveries = this.resolveDeliveries(job, row.data).deliveries.map(delivery =>
+          row.status === "pending" ? delivery : { ...delivery, status: row.status, error: row.error });
+      }
+
+      this.initDestinationStats(job);
+      rows.forEach((row, index) => this.countRow(job, row, index));
+      this.jobs.set(job.id, job);
+
+      if (["pending", "queued", "running", "scheduled"].includes(job.status)) {
+        const next = rows.findIndex(row => row.status === "pending");
+        this.log(job.id, next === -1
+          ? "♻️ Server restarted, finishing job"
+          : `♻️ Server restarted, resuming from row ${next + 1}`);
+        this.processJob(job.id);
+      }
+    }
+
+    return this.jobs.size;
+  }
+
+  // Drop finished jobs older than the retention period
+  cleanup() {
+    if (!this.retentionMs) return;
+
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [jobId, job] of this.jobs) {
+      if (job.endTime && job.endTime < cutoff) {
+        this.jobs.delete(jobId);
+        this.clients.delete(jobId);
+        this.store.remove(jobId);
+      }
+    }
+
+    // Uploaded ZIPs go once no remaining job needs them
+    const inUse = new Set([...this.jobs.values()].map(job => job.uploadId).filter(Boolean));
+    this.media.prune(inUse, cutoff);
+    this.imports.prune(cutoff);
+  }
+
   getJob(jobId) {
     return this.jobs.get(jobId);
   }
 
+  // Start a follow-up job from the failed rows of a finished job
+  retryFailed(jobId) {
+    const job = this.jobs.get(jobId);
+    const failedRows = job.rows.filter(row => row.status === "failed");
+
+    // Only resend to the destinations that failed, not the ones that already have the post
+    const retryId = this.createJob(failedRows.map(row => row.data), job.mapping, {
+      kind: job.kind,
+      sourceJob: job.sourceJob,
+      editMedia: job.editMedia,
+      priority: job.priority,
+      fileName: job.fileName,
+      owner: job.owner,
+      bot: job.bot,
+      profile: job.profile,
+      rates: job.rates,
+      template: job.template,
+      parseMode: job.parseMode,
+      messageType: job.messageType,
+      keyboard: job.keyboard,
+      uploadId: job.uploadId,
+      dedup: job.dedup,
+      destinations: job.destinations,
+      deliveries: failedRows.map(row => row.deliveries
+        .filter(delivery => delivery.status === "failed")
+        .map(({ chatId, threadId, messageIds, messageType }) => ({ chatId, threadId, messageIds, messageType }))),
+      sourceRows: job.kind === "delete" ? failedRows.map(row => row.sourceRow) : null,
+      retryOf: job.id,
+      schedule: job.schedule?.drip ? { startAt: null, drip: job.schedule.drip } : null
+    });
+
+    this.log(jobId, `🔁 Retrying ${failedRows.length} failed rows as job ${retryId.slice(0, 8)}`);
+    this.log(retryId, `🔁 Retry of the failed rows from job ${jobId.slice(0, 8)}`);
+    return retryId;
+  }
+
+  // Posted messages of a send job, per row: [{ index, deliveries }] for the
+  // rows with at least one delivery that has message_ids
+  postedRows(job) {
+    return job.rows
+      .map((row, index) => ({
+        index,
+        deliveries: row.deliveries
+          .filter(delivery => delivery.status === "sent" && delivery.messageIds?.length)
+          .map(({ chatId, threadId, messageIds, messageType }) => ({ chatId, threadId, messageIds, messageType }))
+      }))
+      .filter(row => row.deliveries.length > 0);
+  }
+
+  // Start a job that edits the messages a send job posted. Updated rows are
+  // matched to posted rows by the matchBy column, or by position without one.
+  // Returns { jobId, total, unmatched }, jobId null when nothing matched.
+  editPosted(jobId, { rows, mapping, template, parseMode, keyboard, uploadId, matchBy, editMedia }) {
+    const source = this.jobs.get(jobId);
+    const posted = this.postedRows(source);
+    const updated = rows || source.rows.map(row => row.data);
+
+    const byKey = new Map();
+    if (matchBy) {
+      updated.forEach(data => {
+        const key = String(data[matchBy] ?? "").trim();
+        if (key && !byKey.has(key)) byKey.set(key, data);
+      });
+    }
+
+    const matched = [];
+    for (const { index, deliveries } of posted) {
+      const data = matchBy
+        ? byKey.get(String(source.rows[index].data[matchBy] ?? "").trim())
+        : updated[index];
+      if (data) matched.push({ data, deliveries });
+    }
+
+    if (matched.length === 0) return { jobId: null, total: 0, unmatched: posted.length };
+
+    const editId = this.createJob(matched.map(row => row.data), mapping || source.mapping, {
+      kind: "edit",
+      sourceJob: jobId,
+      fileName: source.fileName,
+      owner: source.owner,
+      bot: source.bot,
+      profile: source.profile,
+      rates: source.rates,
+      editMedia,
+      template: template ?? source.template,
+      parseMode: parseMode || source.parseMode,
+      keyboard: keyboard === undefined ? source.keyboard : keyboard,
+      uploadId: uploadId || source.uploadId,
+      deliveries: matched.map(row => row.deliveries)
+    });
+
+    const unmatched = posted.length - matched.length;
+    this.log(jobId, `✏️ Editing ${matched.length} posted rows as job ${editId.slice(0, 8)}`);
+    this.log(editId, `✏️ Edit of the rows posted by job ${jobId.slice(0, 8)}${unmatched ? `, ${unmatched} rows had no match` : ""}`);
+    return { jobId: editId, total: matched.length, unmatched };
+  }
+
+  // Start a job that deletes what a send job posted, for all rows or the
+  // given 1-based row numbers. Returns { jobId, total }, jobId null when none.
+  deletePosted(jobId, rowNumbers = null) {
+    const source = this.jobs.get(jobId);
+    const selected = rowNumbers ? new Set(rowNumbers.map(Number)) : null;
+    const posted = this.postedRows(source).filter(row => !selected || selected.has(row.index + 1));
+
+    if (posted.length === 0) return { jobId: null, total: 0 };
+
+    const deleteId = this.createJob(posted.map(row => source.rows[row.index].data), source.mapping, {
+      kind: "delete",
+      sourceJob: jobId,
+      fileName: source.fileName,
+      owner: source.owner,
+      bot: source.bot,
+      profile: source.profile,
+      rates: source.rates,
+      deliveries: posted.map(row => row.deliveries),
+      sourceRows: posted.map(row => row.index + 1) // To drop their post history
+    });
+
+    this.log(jobId, `🗑️ Deleting ${posted.length} posted rows as job ${deleteId.slice(0, 8)}`);
+    this.log(deleteId, `🗑️ Delete of the rows posted by job ${jobId.slice(0, 8)}`);
+    return { jobId: deleteId, total: posted.length };
+  }
+
   stopJob(jobId) {
     const job = this.jobs.get(jobId);
     if (job) {
       job.isStopped = true;
       this.log(jobId, "🛑 Job stopped by user");
       this.emit(jobId, "stopped", { message: "Job stopped" });
+      job.isPaused = false;
+
+      if (this.running.has(jobId)) {
+        this.wake(jobId);
+      } else if (job.status === "paused") {
+        this.updateJob(job, { status: "stopped", endTime: Date.now() });
+      }
+    }
+  }
+
+  pauseJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !["running", "pending", "queued", "scheduled"].includes(job.status)) return false;
+
+    job.isPaused = true;
+    this.updateJob(job, { status: "paused" });
+    this.log(jobId, "⏸️ Job paused by user");
+    this.emit(jobId, "paused", { current: job.current, total: job.total });
+    this.wake(jobId);
+    return true;
+  }
+
+  resumeJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== "paused") return false;
+
+    job.isPaused = false;
+    this.updateJob(job, { status: this.awaitingStart(job) ? "scheduled" : "queued" });
+    this.log(jobId, "▶️ Job resumed by user");
+    this.emit(jobId, "resumed", { current: job.current, total: job.total });
+
+    // A job paused before a restart has no loop waiting on it
+    if (this.running.has(jobId)) {
+      this.wake(jobId);
+    } else {
+      this.processJob(jobId);
+    }
+    return true;
+  }
+
+  // Change the start time / drip window of a job that has not finished
+  updateSchedule(jobId, schedule) {
+    const job = this.jobs.get(jobId);
+    if (!job || !["running", "pending", "queued", "scheduled", "paused"].includes(job.status)) return false;
+
+    this.updateJob(job, { schedule, nextSlotAt: null });
+    if ((job.status === "running" || job.status === "queued") && this.awaitingStart(job)) {
+      this.updateJob(job, { status: "scheduled" });
+    }
+
+    this.log(jobId, schedule ? "🗓️ Schedule updated" : "🗓️ Schedule cleared, sending as soon as possible");
+    this.emit(jobId, "schedule", { schedule, status: job.status });
+    this.wake(jobId);
+    return true;
+  }
+
+  // True while a delayed start has not been reached and nothing was sent yet
+  awaitingStart(job) {
+    return job.current === 0 && !!job.schedule?.startAt && Date.parse(job.schedule.startAt) > Date.now();
+  }
+
+  wake(jobId) {
+    const wake = this.wakers.get(jobId);
+    if (wake) {
+      this.wakers.delete(jobId);
+      wake();
+    }
+  }
+
+  // Block the processing loop while the job is paused
+  async waitIfPaused(job) {
+    if (!job.isPaused) return;
+    await new Promise(resolve => this.wakers.set(job.id, resolve));
+  }
+
+  // Sleep until the given delay passes or the job is woken (pause, stop, schedule change)
+  sleepUntilWoken(jobId, ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.wakers.delete(jobId);
+        resolve();
+      }, Math.min(ms, MAX_TIMER_MS));
+
+      this.wakers.set(jobId, () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  // Wait until the job is not paused, its schedule allows the next post and
+  // it holds one of the bot's job slots. Paused and scheduled jobs give their
+  // slot up while they wait.
+  async waitForTurn(job) {
+    while (!job.isStopped) {
+      if (job.isPaused) {
+        this.releaseSlot(job);
+        await this.waitIfPaused(job);
+        continue;
+      }
+
+      const slot = nextSlot(job.schedule, job.lastSentAt);
+      if (slot > Date.now()) {
+        this.releaseSlot(job);
+
+        if (job.nextSlotAt !== slot) {
+          this.updateJob(job, { nextSlotAt: slot });
+          this.log(job.id, `🕒 Next post at ${formatSlot(slot, job.schedule?.drip?.timeZone)}`);
+          this.emit(job.id, "waiting", { until: new Date(slot).toISOString() });
+        }
+
+        await this.sleepUntilWoken(job.id, slot - Date.now());
+        continue;
+      }
+
+      if (await this.acquireSlot(job)) break;
+    }
+
+    if (job.status !== "running" && !job.isStopped) {
+      if (job.status === "scheduled") this.log(job.id, "🚀 Scheduled start reached");
+      this.updateJob(job, { status: "running" });
+      this.emit(job.id, "resumed", { current: job.current, total: job.total });
+    }
+  }
+
+  // Jobs are queued per bot token
+  queueKey(job) {
+    return this.credentials.botId(job.bot);
+  }
+
+  // Take one of the bot's job slots, waiting in line if they are all in use.
+  // Resolves false when the job is stopped or paused while it waits.
+  async acquireSlot(job) {
+    const key = this.queueKey(job);
+    this.queue.enqueue(job.id, key, { priority: job.priority, order: job.startTime });
+
+    let waited = false;
+    while (!this.queue.tryStart(job.id)) {
+      if (!waited) {
+        waited = true;
+        if (job.status === "scheduled") this.log(job.id, "🚀 Scheduled start reached");
+        this.updateJob(job, { status: "queued" });
+        const running = this.queue.activeCount(key);
+        this.log(job.id, `🚦 ${running} job${running === 1 ? "" : "s"} already running, queued at position ${this.queue.position(job.id)}`);
+        this.emitQueue(key);
+      }
+
+      await this.sleepUntilWoken(job.id, MAX_TIMER_MS);
+      if (job.isStopped || job.isPaused) return false;
     }
+
+    if (waited) this.log(job.id, "🚀 A job slot is free, starting");
+    this.emitQueue(key);
+    return true;
+  }
+
+  // Leave the slot or the line, and let the next queued jobs start
+  releaseSlot(job) {
+    const key = this.queue.release(job.id);
+    if (key === null) return;
+
+    const free = this.queue.maxConcurrent - this.queue.activeCount(key);
+    this.queue.line(key).slice(0, free).forEach(entry => this.wake(entry.jobId));
+    this.emitQueue(key);
+  }
+
+  // Tell every job waiting in a line where it stands
+  emitQueue(key) {
+    this.queue.line(key).forEach((entry, index) => {
+      this.emit(entry.jobId, "queued", { position: index + 1 });
+    });
+  }
+
+  // Move a queued job to a place in line (1 = next to start)
+  moveQueued(jobId, position) {
+    const job = this.jobs.get(jobId);
+    if (!job || !this.queue.move(jobId, position)) return false;
+
+    const key = this.queueKey(job);
+    const entry = this.queue.line(key).find(other => other.jobId === jobId);
+    this.updateJob(job, { priority: entry.priority });
+    this.log(jobId, `🚦 Moved to position ${this.queue.position(jobId)} in the queue`);
+
+    // The job may now be close enough to the front to start
+    const free = this.queue.maxConcurrent - this.queue.activeCount(key);
+    this.queue.line(key).slice(0, free).forEach(other => this.wake(other.jobId));
+    this.emitQueue(key);
+    return true;
   }
 
   // Add SSE client
@@ -98,6 +699,7 @@ class JobManager {
     if (job) {
       const entry = { time: new Date().toISOString(), message };
       job.logs.push(entry);
+      this.store.log(jobId, entry);
       console.log(`[Job ${jobId.slice(0, 8)}] ${message}`);
       this.emit(jobId, "log", entry);
     }
@@ -112,258 +714,1107 @@ class JobManager {
         total: job.total,
         sent: job.sent,
         failed: job.failed,
-        percent: Math.round((job.current / job.total) * 100)
+        skipped: job.skipped,
+        percent: Math.round((job.current / job.total) * 100),
+        destinations: Object.values(job.destinationStats)
       });
     }
   }
 
   // Process job in background
-  async processJob(jobId, rows, mapping) {
+  async processJob(jobId) {
     const job = this.jobs.get(jobId);
-    job.status = "running";
+    const { rows, mapping } = job;
+    this.running.add(jobId);
+    this.updateJob(job, { status: this.awaitingStart(job) ? "scheduled" : "queued" });
 
-    this.log(jobId, `📤 Starting to send ${rows.length} messages...`);
-    this.emit(jobId, "started", { total: rows.length });
+    const remaining = rows.filter(row => row.status === "pending").length;
+    this.log(jobId, `📤 Starting to ${job.kind} ${remaining} messages...`);
+    this.emit(jobId, "started", { total: job.total });
 
     for (let i = 0; i < rows.length; i++) {
+      if (rows[i].status !== "pending") continue;
+
+      await this.waitForTurn(job);
+
       // Check if stopped
       if (job.isStopped) {
-        job.status = "stopped";
-        this.log(jobId, `⏹️ Job stopped at ${i}/${rows.length}`);
+        this.log(jobId, `⏹️ Job stopped at ${job.current}/${job.total}`);
         break;
       }
 
-      const row = rows[i];
-      job.current = i + 1;
-
-      const caption = `
-<b>${row[mapping.title] || "No Title"}</b>
-
-${row[mapping.description] || ""}
-
-🔗 <a href="${row[mapping.view] || "#"}">View</a>
-⬇️ <a href="${row[mapping.download] || "#"}">Download</a>
-      `.trim();
-
-      const imageUrl = row[mapping.image];
+      const row = rows[i].data;
+
+      let message = null;
+      try {
+        if (job.kind !== "delete") {
+          message = composeMessage(row, mapping, {
+            template: job.template,
+            parseMode: job.parseMode,
+            // Edits keep the type the row was posted as; journals from before
+            // message types only sent photos
+            type: job.kind === "edit" ? rows[i].deliveries[0]?.messageType : job.messageType ?? "photo",
+            keyboard: job.keyboard
+          });
+        }
+        if (job.kind === "send") {
+          if (message.omitted) {
+            this.log(jobId, `⚠️ Row ${i + 1}: albums hold at most ${ALBUM_LIMIT} images, ${message.omitted} left out`);
+          }
+          this.checkHistory(job, i, message);
+          if (rows[i].deliveries.some(delivery => delivery.status === "pending")) {
+            message = this.useCachedMedia(job, i, message);
+            message = await attachMedia(message, { store: this.media, uploadId: job.uploadId });
+          }
+        } else if (job.kind === "edit" && job.editMedia) {
+          message = await attachMedia(message, { store: this.media, uploadId: job.uploadId });
+        }
+      } catch (err) {
+        const error = redactToken(err.message);
+        this.log(jobId, `⚠️ Row ${i + 1}: ${error}, skipping`);
+        this.finishRow(job, i, "failed", error);
+        this.updateProgress(jobId);
+        continue;
+      }
 
-      if (!imageUrl) {
-        job.failed++;
-        this.log(jobId, `⚠️ Row ${i + 1}: No image URL, skipping`);
-        job.errors.push({ row: i + 1, error: "No image URL" });
+      if (rows[i].deliveries.length === 0) {
+        const error = rows[i].error || "No destination";
+        this.log(jobId, `⚠️ Row ${i + 1}: ${error}, skipping`);
+        this.finishRow(job, i, "failed", error);
         this.updateProgress(jobId);
         continue;
       }
 
-      // Retry logic with smart rate limiting
-      let success = false;
-      let attempts = 0;
-      const maxAttempts = 5;
+      // Post to every destination that does not have this row yet; the
+      // rate limiter spaces the calls out
+      let delivered = false;
+      for (const delivery of rows[i].deliveries) {
+        if (delivery.status !== "pending" || job.isStopped) continue;
 
-      while (!success && attempts < maxAttempts && !job.isStopped) {
-        attempts++;
+        const result = await this.deliver(job, i, delivery, message);
+        if (!result) continue; // Stopped mid-retry, row stays pending
 
-        try {
-          const response = await fetch(
-            `https://api.telegram.org/bot${BOT_TOKEN}/sendPhoto`,
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                chat_id: CHANNEL_ID,
-                photo: imageUrl,
-                caption: caption,
-                parse_mode: "HTML"
-              })
-            }
-          );
-
-          const data = await response.json();
-
-          if (data.ok) {
-            job.sent++;
-            success = true;
-            this.log(jobId, `✅ Row ${i + 1}: Sent successfully`);
-          } else if (data.error_code === 429) {
-            // Rate limited - respect retry_after
-            const retryAfter = data.parameters?.retry_after || 30;
-            this.log(jobId, `⏳ Rate limited. Waiting ${retryAfter}s...`);
-            this.emit(jobId, "ratelimit", { retryAfter });
-
-            // Wait for the specified time
-            await this.sleep(retryAfter * 1000 + 1000);
-            // Don't count this as an attempt
-            attempts--;
-          } else {
-            throw new Error(data.description || "Unknown Telegram error");
-          }
-        } catch (err) {
-          if (attempts >= maxAttempts) {
-            job.failed++;
-            job.errors.push({ row: i + 1, error: err.message });
-            this.log(jobId, `❌ Row ${i + 1}: Failed after ${attempts} attempts - ${err.message}`);
-          } else {
-            // Exponential backoff
-            const backoff = Math.min(1000 * Math.pow(2, attempts), 30000);
-            this.log(jobId, `⚠️ Row ${i + 1} attempt ${attempts}: ${err.message}. Retrying in ${backoff / 1000}s...`);
-            await this.sleep(backoff);
-          }
+        this.finishDelivery(job, i, delivery, result.status, result.error, result.posted);
+        if (result.status === "sent" && message?.item) {
+          this.history.record(destinationKey(delivery), message.item, { jobId, row: i + 1 });
         }
+        this.updateProgress(jobId);
+        delivered = delivered || result.status === "sent";
       }
 
-      this.updateProgress(jobId);
-
-      // Base delay between messages (safe for Telegram)
-      if (success && i < rows.length - 1) {
-        await this.sleep(3500); // 3.5s delay to prevent rate limits
+      const deliveries = rows[i].deliveries;
+      if (deliveries.every(delivery => delivery.status !== "pending")) {
+        const failed = deliveries.filter(delivery => delivery.status === "failed");
+        if (failed.length > 0) {
+          this.finishRow(job, i, "failed",
+            failed.map(delivery => `${formatDestination(delivery)}: ${delivery.error}`).join("; "));
+        } else if (deliveries.some(delivery => delivery.status === "sent")) {
+          this.finishRow(job, i, "sent");
+        } else {
+          this.finishRow(job, i, "skipped", deliveries[0].error);
+        }
       }
+
+      if (delivered && job.schedule) this.updateJob(job, { lastSentAt: Date.now() });
+
+      this.updateProgress(jobId);
     }
 
     // Job complete
-    job.endTime = Date.now();
-    job.status = job.isStopped ? "stopped" : "completed";
+    this.running.delete(jobId);
+    this.releaseSlot(job);
+    this.updateJob(job, {
+      endTime: Date.now(),
+      status: job.isStopped ? "stopped" : "completed"
+    });
 
     const duration = ((job.endTime - job.startTime) / 1000).toFixed(1);
-    this.log(jobId, `📊 Completed: ${job.sent} sent, ${job.failed} failed in ${duration}s`);
+    const skipped = job.skipped ? `, ${job.skipped} skipped` : "";
+    const reused = job.cacheHits ? `, ${job.cacheHits} cached file_id${job.cacheHits === 1 ? "" : "s"} reused` : "";
+    this.log(jobId, `📊 Completed: ${job.sent} ${JOB_VERBS[job.kind]}, ${job.failed} failed${skipped} in ${duration}s${reused}`);
 
     this.emit(jobId, "done", {
+      kind: job.kind,
+      status: job.status,
       sent: job.sent,
       failed: job.failed,
+      skipped: job.skipped,
       total: job.total,
+      destinations: Object.values(job.destinationStats),
+      cacheHits: job.cacheHits || 0,
       duration
     });
-
-    // Cleanup job after 1 hour
-    setTimeout(() => {
-      this.jobs.delete(jobId);
-      this.clients.delete(jobId);
-    }, 3600000);
-  }
-
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
   }
-}
 
-const jobManager = new JobManager();
+  // Look the row up in the post history before sending. "skip" settles the
+  // destinations that already have it, "warn" only logs them; either way
+  // message.item is set so successful posts get recorded.
+  checkHistory(job, index, message) {
+    message.item = itemKey(job.rows[index].data, job.dedup, {
+      caption: message.caption,
+      media: mediaSlots(message.payload).map(slot => slot.value)
+    });
+    if (!message.item || job.dedup.mode === "force") return;
 
-// ========================================
-// API ROUTES
-// ========================================
+    for (const delivery of job.rows[index].deliveries) {
+      if (delivery.status !== "pending") continue;
 
-// Serve favicon (prevents 404)
-app.get("/favicon.ico", (req, res) => {
-  res.status(204).end();
-});
+      const earlier = this.history.find(destinationKey(delivery), message.item);
+      if (!earlier) continue;
 
-// Health check
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "ok",
-    bot_configured: !!BOT_TOKEN,
-    channel_configured: !!CHANNEL_ID,
-    active_jobs: jobManager.jobs.size
-  });
-});
+      const when = `${earlier.postedAt.slice(0, 16).replace("T", " ")} UTC (job ${earlier.jobId.slice(0, 8)}, row ${earlier.row})`;
+      const target = `Row ${index + 1} → ${formatDestination(delivery)}`;
+      if (job.dedup.mode === "skip") {
+        this.log(job.id, `⏭️ ${target}: already posted ${when}, skipping`);
+        this.finishDelivery(job, index, delivery, "skipped", `Already posted ${when}`);
+      } else {
+        this.log(job.id, `⚠️ ${target}: already posted ${when}, posting again`);
+      }
+    }
+  }
 
-// Get public config
-app.get("/api/config", (req, res) => {
-  res.json({
-    insforgeUrl: process.env.INSFORGE_URL,
-    insforgeAnonKey: process.env.INSFORGE_ANON_KEY,
-    defaultBotToken: process.env.BOT_TOKEN,
-    defaultChannelId: process.env.CHANNEL_ID
-  });
-});
+  // Swap media this bot has posted before for the file_ids Telegram gave it,
+  // so the same URL or ZIP file is never uploaded twice. Keeps the original
+  // payload in case Telegram rejects a cached file_id.
+  useCachedMedia(job, index, message) {
+    const slots = mediaSlots(message.payload);
+    const keys = slots.map(({ kind, value }) => {
+      const hash = !isRemoteUrl(value) && job.uploadId ? this.media.hash(job.uploadId, value) : null;
+      const source = isRemoteUrl(value) ? value : hash && `sha256:${hash}`;
+      return source ? cacheKey(this.credentials.botId(job.bot), kind, source) : null;
+    });
 
-// Test connection to Telegram
-app.get("/api/test-connection", async (req, res) => {
-  try {
-    const response = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/getMe`);
-    const data = await response.json();
+    const cachedKeys = [];
+    const values = slots.map(({ value }, n) => {
+      const fileId = keys[n] && this.fileCache.get(keys[n]);
+      if (!fileId) return value;
+      cachedKeys.push(keys[n]);
+      return fileId;
+    });
 
-    if (data.ok) {
-      res.json({
-        success: true,
-        bot_name: data.result.username,
-        message: `Connected to @${data.result.username}`
-      });
-    } else {
-      res.status(400).json({ success: false, error: data.description });
+    if (cachedKeys.length > 0) {
+      this.updateJob(job, { cacheHits: (job.cacheHits || 0) + cachedKeys.length });
+      this.log(job.id, `♻️ Row ${index + 1}: reusing ${cachedKeys.length} cached file_id${cachedKeys.length === 1 ? "" : "s"}, nothing to upload`);
     }
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+
+    return { ...message, payload: withMedia(message.payload, values), cacheKeys: keys, cachedKeys, original: message.payload };
   }
-});
 
-// Start a new send job
-app.post("/api/send", (req, res) => {
-  const { rows, mapping } = req.body;
+  // Remember the file_ids of a sent message, and send them instead of the
+  // files to the row's remaining destinations
+  rememberMedia(message, result) {
+    const fileIds = sentFileIds(result);
+    fileIds.forEach((fileId, n) => {
+      const key = message.cacheKeys?.[n];
+      if (key && fileId && !message.cachedKeys.includes(key)) this.fileCache.set(key, fileId);
+    });
 
-  if (!rows || !Array.isArray(rows) || rows.length === 0) {
-    return res.status(400).json({ error: "No rows provided" });
+    if (Object.keys(message.files || {}).length > 0 && fileIds.every(Boolean)) {
+      Object.assign(message, { payload: withMedia(message.payload, fileIds), files: {} });
+    }
   }
 
-  if (!mapping) {
-    return res.status(400).json({ error: "No mapping provided" });
+  // Post, edit or delete one row at one destination, depending on the job kind
+  deliver(job, index, delivery, message) {
+    if (job.kind === "edit") return this.editMessage(job, index, delivery, message);
+    if (job.kind === "delete") return this.deleteMessages(job, index, delivery);
+    return this.sendMessage(job, index, delivery, message);
   }
 
-  if (!BOT_TOKEN || !CHANNEL_ID) {
-    return res.status(500).json({ error: "Bot token or channel ID not configured" });
-  }
+  // Send one row to one destination. Resolves { status, error, posted }, or
+  // null when the job was stopped first. When Telegram cannot fetch a URL
+  // the media is uploaded from here instead, and the uploaded message is
+  // reused for the row's other destinations.
+  async sendMessage(job, index, delivery, message) {
+    const target = `Row ${index + 1} → ${formatDestination(delivery)}`;
+
+    const response = await this.callTelegram(job, index, delivery, target, () => ({
+      method: message.method,
+      fields: {
+        chat_id: delivery.chatId,
+        ...(delivery.threadId && { message_thread_id: delivery.threadId }),
+        ...message.payload
+      },
+      files: message.files
+    }), {
+      recover: async data => {
+        if (message.cachedKeys?.length && STALE_FILE_ID_ERRORS.test(data.description)) {
+          this.log(job.id, `🗑️ ${target}: cached file_id rejected (${data.description}), sending the original media`);
+          message.cachedKeys.forEach(key => this.fileCache.delete(key));
+          Object.assign(message, await attachMedia(
+            { ...message, payload: message.original, files: {}, cachedKeys: [] },
+            { store: this.media, uploadId: job.uploadId }
+          ));
+          return true;
+        }
 
-  // Create job and start processing
-  const jobId = jobManager.createJob(rows, mapping);
+        if (shouldReupload(data.description) && hasRemoteMedia(message)) {
+          this.log(job.id, `📥 ${target}: Telegram could not use the URL (${data.description}), uploading it from the server`);
+          Object.assign(message, await attachMedia(message, { store: this.media, reupload: true }));
+          return true;
+        }
 
-  console.log(`\n🚀 Created job ${jobId} with ${rows.length} rows\n`);
+        return false;
+      }
+    });
 
-  // Return immediately with job ID
-  res.json({
-    success: true,
-    jobId,
-    total: rows.length,
-    message: `Job started. Subscribe to /api/events/${jobId} for updates.`
-  });
-});
+    if (!response) return null;
+    if (!response.ok) return { status: "failed", error: response.error };
 
-// SSE endpoint for real-time updates
-app.get("/api/events/:jobId", (req, res) => {
-  const { jobId } = req.params;
-  const job = jobManager.getJob(jobId);
+    this.rememberMedia(message, response.result);
+    this.log(job.id, `✅ ${target}: Sent successfully`);
+    return {
+      status: "sent",
+      error: null,
+      posted: { messageIds: sentMessageIds(response.result), messageType: message.type }
+    };
+  }
 
-  if (!job) {
-    return res.status(404).json({ error: "Job not found" });
+  // Bring the messages posted to one destination in line with the edited row
+  async editMessage(job, index, delivery, message) {
+    const target = `Row ${index + 1} → ${formatDestination(delivery)}`;
+
+    for (const call of editCalls(message, delivery.messageIds, { editMedia: job.editMedia })) {
+      const response = await this.callTelegram(job, index, delivery, target, () => ({
+        method: call.method,
+        fields: { chat_id: delivery.chatId, ...call.fields },
+        files: message.files
+      }), {
+        accept: data => /message is not modified/i.test(data.description)
+      });
+
+      if (!response) return null;
+      if (!response.ok) return { status: "failed", error: response.error };
+    }
+
+    this.log(job.id, `✏️ ${target}: Edited`);
+    return { status: "sent", error: null };
   }
 
-  // Set SSE headers
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.setHeader("X-Accel-Buffering", "no");
+  async deleteMessages(job, index, delivery) {
+    const target = `Row ${index + 1} → ${formatDestination(delivery)}`;
 
-  // Send initial state
-  res.write(`event: connected\ndata: ${JSON.stringify({ jobId, status: job.status })}\n\n`);
+    for (const messageId of delivery.messageIds) {
+      const response = await this.callTelegram(job, index, delivery, target, () => ({
+        method: "deleteMessage",
+        fields: { chat_id: delivery.chatId, message_id: messageId }
+      }), {
+        accept: data => /message to delete not found/i.test(data.description) // Already gone
+      });
 
-  // Replay existing logs
-  job.logs.forEach(log => {
-    res.write(`event: log\ndata: ${JSON.stringify(log)}\n\n`);
-  });
+      if (!response) return null;
+      if (!response.ok) return { status: "failed", error: response.error };
+    }
 
-  // Send current progress
-  res.write(`event: progress\ndata: ${JSON.stringify({
-    current: job.current,
-    total: job.total,
-    sent: job.sent,
-    failed: job.failed,
-    percent: job.total > 0 ? Math.round((job.current / job.total) * 100) : 0
-  })}\n\n`);
+    // The post is gone, so sending the row again is not a duplicate
+    const sourceRow = job.rows[index].sourceRow;
+    if (sourceRow) this.history.forget(destinationKey(delivery), { jobId: job.sourceJob, row: sourceRow });
 
-  // If job is already done, send done event
-  if (job.status === "completed" || job.status === "stopped") {
+    const count = delivery.messageIds.length;
+    this.log(job.id, `🗑️ ${target}: Deleted ${count} message${count === 1 ? "" : "s"}`);
+    return { status: "sent", error: null };
+  }
+
+  // One Bot API call with retries, backoff and rate limit handling. Waits
+  // for the shared rate limiter before every attempt.
+  // `request()` builds the call for each attempt. After an error,
+  // `recover(data)` may fix the request and return true to retry it without
+  // counting an attempt, and `accept(data)` may treat the error as done.
+  // Resolves { ok, result, error }, or null when the job was stopped first.
+  async callTelegram(job, index, delivery, target, request, { recover, accept } = {}) {
+    const jobId = job.id;
+    const row = job.rows[index];
+    let attempts = 0;
+    const maxAttempts = 5;
+
+    let token;
+    try {
+      token = await this.credentials.token(job.bot);
+    } catch (err) {
+      token = null;
+      this.log(jobId, `❌ Bot "${job.bot}": ${redactToken(err.message)}`);
+    }
+    if (!token) {
+      return { ok: false, result: null, error: `No bot token for "${job.bot}"` };
+    }
+
+    // Don't count an attempt that ended for reasons other than the request
+    const uncount = () => {
+      attempts--;
+      row.attempts--;
+      delivery.attempts--;
+    };
+
+    while (attempts < maxAttempts && !job.isStopped) {
+      attempts++;
+      row.attempts++;
+      delivery.attempts++;
+
+      await this.limiter.acquire(token, delivery.chatId, job.rates || undefined);
+      if (job.isStopped) {
+        uncount();
+        break;
+      }
+
+      try {
+        const { method, fields, files } = request();
+        const response = await fetch(
+          `https://api.telegram.org/bot${token}/${method}`,
+          { method: "POST", ...requestBody(fields, files) }
+        );
+
+        const data = await response.json();
+
+        if (data.ok) {
+          this.limiter.success(token, delivery.chatId);
+          return { ok: true, result: data.result, error: null };
+        }
+        if (accept?.(data)) return { ok: true, result: null, error: null };
+
+        if (await recover?.(data)) {
+          uncount();
+          continue;
+        }
+
+        if (data.error_code === 429) {
+          // Rate limited - the limiter pauses this chat for retry_after and
+          // slows it down, for every job posting there
+          const retryAfter = data.parameters?.retry_after || 30;
+          this.log(jobId, `⏳ Rate limited. Waiting ${retryAfter}s...`);
+          this.emit(jobId, "ratelimit", { retryAfter, destination: destinationKey(delivery) });
+          this.limiter.limited(token, delivery.chatId, retryAfter + 1);
+          uncount();
+        } else {
+          throw new Error(data.description || "Unknown Telegram error");
+        }
+      } catch (err) {
+        // Network errors quote the request URL, token included
+        const error = redactToken(err.message);
+        if (attempts >= maxAttempts) {
+          this.log(jobId, `❌ ${target}: Failed after ${attempts} attempts - ${error}`);
+          return { ok: false, result: null, error };
+        }
+
+        // Exponential backoff
+        const backoff = Math.min(1000 * Math.pow(2, attempts), 30000);
+        this.log(jobId, `⚠️ ${target} attempt ${attempts}: ${error}. Retrying in ${backoff / 1000}s...`);
+        await this.sleep(backoff);
+      }
+    }
+
+    return null;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+const jobManager = new JobManager(new JobStore(DATA_DIR), {
+  retentionMs: JOB_RETENTION_HOURS * 3600000,
+  media: new MediaStore(DATA_DIR),
+  imports: new ImportStore(DATA_DIR),
+  fileCache: new FileCache(DATA_DIR),
+  history: new PostHistory(DATA_DIR),
+  limiter: new RateLimiter({
+    globalPerSecond: RATE_GLOBAL_PER_SECOND,
+    chatPerMinute: RATE_CHAT_PER_MINUTE
+  }),
+  queue: new JobQueue({ maxConcurrent: MAX_CONCURRENT_JOBS }),
+  credentials: new CredentialVault(DATA_DIR, {
+    key: CREDENTIALS_KEY,
+    envTokens: { default: BOT_TOKEN }
+  })
+});
+
+const auth = new AuthStore(DATA_DIR, { sessionTtlMs: SESSION_HOURS * 3600000 });
+
+const profiles = new ProfileStore(DATA_DIR, {
+  envProfile: { name: "default", bot: "default", destinations: DEFAULT_DESTINATIONS.map(destinationKey) }
+});
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024 }
+});
+
+// Imports are streamed to disk as they arrive, not held in memory
+const importUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, jobManager.imports.dir),
+    filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}.part`)
+  }),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024 }
+});
+
+// ========================================
+// AUTHENTICATION
+// ========================================
+// The browser signs in with a session cookie, scripts send an API token as
+// "Authorization: Bearer tst_...". Every /api route except these needs one.
+const PUBLIC_ROUTES = new Set(["/health", "/auth/login", "/auth/logout"]);
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie ?? "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+function bearerToken(req) {
+  const match = String(req.headers.authorization ?? "").match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+app.use((req, res, next) => {
+  req.user = auth.userForToken(bearerToken(req)) || auth.userForSession(readCookie(req, SESSION_COOKIE));
+  next();
+});
+
+app.use("/api", (req, res, next) => {
+  if (req.user || PUBLIC_ROUTES.has(req.path)) return next();
+  res.status(401).json({ error: "Sign in required" });
+});
+
+function requireAdmin(req, res, next) {
+  if (req.user.role === "admin") return next();
+  res.status(403).json({ error: "Only admins can do this" });
+}
+
+// Users see their own jobs, admins see every job
+function canAccess(user, job) {
+  return user.role === "admin" || job.owner === user.id;
+}
+
+// Someone else's job looks the same as a missing one
+app.param("jobId", (req, res, next, jobId) => {
+  const job = jobManager.getJob(jobId);
+  if (job && !canAccess(req.user, job)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  next();
+});
+
+// Sign in: { username, password } sets the session cookie
+app.post("/api/auth/login", async (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (auth.isLockedOut(username, req.ip)) {
+    return res.status(429).json({ error: "Too many failed sign-ins, try again in 15 minutes" });
+  }
+
+  try {
+    const session = await auth.login(username, password, req.ip);
+    if (!session) {
+      return res.status(401).json({ error: "Wrong username or password" });
+    }
+
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: req.secure,
+      maxAge: SESSION_HOURS * 3600000
+    });
+    res.json({ success: true, user: session.user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  auth.logout(readCookie(req, SESSION_COOKIE));
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+// Change your own password: { currentPassword, password }
+app.post("/api/auth/password", async (req, res) => {
+  const { currentPassword, password } = req.body || {};
+
+  try {
+    if (!await auth.checkPassword(req.user.id, currentPassword)) {
+      return res.status(403).json({ error: "Current password is wrong" });
+    }
+    await auth.setPassword(req.user.id, password, readCookie(req, SESSION_COOKIE));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// API tokens of the signed-in user
+app.get("/api/tokens", (req, res) => {
+  res.json({ tokens: auth.listTokens(req.user.id) });
+});
+
+// Create an API token: { name }. The token is only shown in this response.
+app.post("/api/tokens", (req, res) => {
+  res.json({ success: true, ...auth.createToken(req.user.id, req.body?.name) });
+});
+
+app.delete("/api/tokens/:tokenId", (req, res) => {
+  if (!auth.revokeToken(req.user.id, req.params.tokenId)) {
+    return res.status(404).json({ error: "Token not found" });
+  }
+  res.json({ success: true });
+});
+
+// User accounts (admins only)
+app.get("/api/users", requireAdmin, (req, res) => {
+  res.json({ users: auth.listUsers() });
+});
+
+// Create a user: { username, password, role }
+app.post("/api/users", requireAdmin, async (req, res) => {
+  const { username, password, role } = req.body || {};
+
+  try {
+    const user = await auth.createUser({ username, password, role: role || "user" });
+    console.log(`👤 ${req.user.username} created user ${user.username} (${user.role})`);
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/users/:userId", requireAdmin, (req, res) => {
+  if (req.params.userId === req.user.id) {
+    return res.status(400).json({ error: "You cannot delete your own account" });
+  }
+
+  if (!auth.deleteUser(req.params.userId)) {
+    return res.status(404).json({ error: "User not found" });
+  }
+  res.json({ success: true });
+});
+
+// ========================================
+// API ROUTES
+// ========================================
+
+// Serve favicon (prevents 404)
+app.get("/favicon.ico", (req, res) => {
+  res.status(204).end();
+});
+
+// Health check; the details are only for signed-in users
+app.get("/api/health", (req, res) => {
+  if (!req.user) {
+    return res.json({ status: "ok" });
+  }
+
+  res.json({
+    status: "ok",
+    bot_configured: jobManager.credentials.has("default"),
+    bots: jobManager.credentials.list().length,
+    channel_configured: DEFAULT_DESTINATIONS.length > 0,
+    active_jobs: jobManager.jobs.size,
+    queued_jobs: jobManager.queue.waiting.length,
+    cached_file_ids: jobManager.fileCache.size,
+    rate_limits: jobManager.limiter.status()
+  });
+});
+
+// Settings for the signed-in browser. Bot tokens stay on the server and are
+// referred to by name; the InsForge anon key is the SDK's public client key.
+app.get("/api/config", (req, res) => {
+  res.json({
+    user: publicUser(req.user),
+    insforgeUrl: process.env.INSFORGE_URL,
+    insforgeAnonKey: process.env.INSFORGE_ANON_KEY,
+    bots: jobManager.credentials.list(),
+    defaultChannelId: CHANNEL_ID || ""
+  });
+});
+
+// Connection diagnostics: the bot of a profile (or ?bot=) and the given or
+// the profile's destinations, as a checklist. Only POST { testMessage: true }
+// sends (and deletes) a test message.
+async function testConnection(req, res, { profile: profileName, bot, destinations: input, testMessage = false }) {
+  const profile = profiles.get(String(profileName || "default"));
+  if (profileName && !profile) {
+    return res.status(404).json({ success: false, error: `No profile named "${profileName}"` });
+  }
+
+  const alias = String(bot || profile?.bot || "default");
+  if (!jobManager.credentials.has(alias)) {
+    return res.status(404).json({ success: false, error: `No bot saved as "${alias}"` });
+  }
+
+  const parsed = parseDestinations(input && input.length ? input : profile?.destinations ?? []);
+  if (parsed.invalid.length > 0) {
+    return res.status(400).json({ success: false, error: `Invalid destinations: ${parsed.invalid.join(", ")}` });
+  }
+  if (parsed.destinations.length > MAX_DIAGNOSED_DESTINATIONS) {
+    return res.status(400).json({ success: false, error: `Check at most ${MAX_DIAGNOSED_DESTINATIONS} destinations at once` });
+  }
+
+  try {
+    const token = await jobManager.credentials.token(alias);
+    const { ok, bot: botName, checks } = await diagnose(token, parsed.destinations, {
+      limiter: jobManager.limiter,
+      testMessage
+    });
+    const failed = checks.filter(check => check.status === "fail");
+
+    res.json({
+      success: ok,
+      bot_name: botName,
+      profile: profile?.name ?? null,
+      destinations: parsed.destinations.map(destinationKey),
+      checks,
+      message: ok
+        ? `Connected to @${botName}, ready to post to ${parsed.destinations.length} destination${parsed.destinations.length === 1 ? "" : "s"}`
+        : `${failed.length} check${failed.length === 1 ? "" : "s"} failed: ${failed.map(check => check.label).join(", ")}`
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: redactToken(err.message) });
+  }
+}
+
+app.get("/api/test-connection", (req, res) => {
+  testConnection(req, res, { ...req.query, testMessage: false });
+});
+
+app.post("/api/test-connection", (req, res) => {
+  testConnection(req, res, { ...req.body, testMessage: !!req.body?.testMessage });
+});
+
+// Saved bots: aliases, bot IDs and usernames, never the tokens
+app.get("/api/credentials", (req, res) => {
+  res.json({ canSave: jobManager.credentials.canSave, bots: jobManager.credentials.list() });
+});
+
+// Save a bot token under an alias: { alias, token }. The token is checked
+// with getMe first and is never sent back.
+app.post("/api/credentials", requireAdmin, async (req, res) => {
+  let alias;
+  try {
+    alias = normalizeAlias(req.body?.alias);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const token = String(req.body?.token ?? "").trim();
+  if (!isBotToken(token)) {
+    return res.status(400).json({ error: "That does not look like a bot token from @BotFather" });
+  }
+
+  if (!jobManager.credentials.canSave) {
+    return res.status(503).json({ error: "Set CREDENTIALS_KEY on the server to save bot tokens" });
+  }
+
+  try {
+    const response = await fetch(`https://api.telegram.org/bot${token}/getMe`);
+    const data = await response.json();
+    if (!data.ok) {
+      return res.status(400).json({ error: `Telegram rejected the token: ${data.description}` });
+    }
+
+    const bot = await jobManager.credentials.save(alias, token, {
+      username: data.result.username,
+      createdBy: req.user.username
+    });
+    console.log(`🔐 ${req.user.username} saved bot @${data.result.username} as "${alias}"`);
+    res.json({ success: true, bot });
+  } catch (err) {
+    res.status(500).json({ error: redactToken(err.message) });
+  }
+});
+
+app.delete("/api/credentials/:alias", requireAdmin, (req, res) => {
+  const { alias } = req.params;
+  const unfinished = [...jobManager.jobs.values()]
+    .filter(job => job.bot === alias && jobManager.running.has(job.id)).length;
+
+  if (unfinished > 0) {
+    return res.status(409).json({ error: `${unfinished} unfinished job${unfinished === 1 ? " uses" : "s use"} this bot` });
+  }
+
+  const usedBy = profiles.usingBot(alias);
+  if (usedBy.length > 0) {
+    return res.status(409).json({ error: `Used by the profile${usedBy.length === 1 ? "" : "s"} ${usedBy.join(", ")}` });
+  }
+
+  if (!jobManager.credentials.remove(alias)) {
+    return res.status(404).json({ error: `No saved bot "${alias}" (tokens from the environment cannot be removed)` });
+  }
+  res.json({ success: true });
+});
+
+// Bot profiles: a bot with its default destinations, template, mapping and rates
+app.get("/api/profiles", (req, res) => {
+  res.json({ profiles: profiles.list() });
+});
+
+app.get("/api/profiles/:name", (req, res) => {
+  const profile = profiles.get(req.params.name);
+  if (!profile) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+  res.json(profile);
+});
+
+// Create or replace a profile: { bot, destinations, template, parseMode,
+// messageType, mapping, rates: { globalPerSecond, chatPerMinute } }
+app.put("/api/profiles/:name", requireAdmin, (req, res) => {
+  let profile;
+  try {
+    profile = normalizeProfile(req.params.name, req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid profile: ${err.message}` });
+  }
+
+  if (!jobManager.credentials.has(profile.bot)) {
+    return res.status(400).json({ error: `No bot saved as "${profile.bot}"` });
+  }
+
+  res.json({ success: true, profile: profiles.save(profile, req.user.username) });
+});
+
+app.delete("/api/profiles/:name", requireAdmin, (req, res) => {
+  if (!profiles.remove(req.params.name)) {
+    return res.status(404).json({ error: "Profile not found (the built-in default cannot be removed)" });
+  }
+  res.json({ success: true });
+});
+
+// Upload a ZIP of images / files that rows refer to by file name
+app.post("/api/uploads", (req, res) => {
+  upload.single("archive")(req, res, err => {
+    if (err) {
+      const tooLarge = err.code === "LIMIT_FILE_SIZE";
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `ZIP is larger than ${UPLOAD_MAX_MB} MB` : err.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: "No ZIP file provided (field \"archive\")" });
+    }
+
+    try {
+      const { uploadId, files } = jobManager.media.saveZip(req.file.buffer, { owner: req.user.id });
+      console.log(`📦 Upload ${uploadId.slice(0, 8)}: ${files.length} files from ${req.file.originalname}`);
+      res.json({ success: true, uploadId, files });
+    } catch (e) {
+      res.status(400).json({ error: `Could not read ZIP: ${e.message}` });
+    }
+  });
+});
+
+// Someone else's ZIP looks the same as a missing one
+function ownUpload(user, uploadId) {
+  return jobManager.media.exists(uploadId) && canAccess(user, { owner: jobManager.media.owner(uploadId) });
+}
+
+// Rows of an import as the browser shows them
+function sendImport(res, meta, { rows, headers, sheets = null, sheet = null }) {
+  res.json({
+    success: true,
+    importId: meta.importId,
+    fileName: meta.fileName,
+    format: meta.format,
+    sheets,
+    sheet,
+    headers,
+    rows,
+    total: rows.length
+  });
+}
+
+// Rows of the import a send or edit request names in { importId, sheet };
+// answers the request and returns null when there is none to read
+async function importedRows(req, res) {
+  const meta = jobManager.imports.get(req.body.importId);
+  if (!meta || !canAccess(req.user, meta)) {
+    res.status(400).json({ error: "Import not found, load the file again" });
+    return null;
+  }
+  try {
+    const { rows } = await jobManager.imports.table(meta.importId, { sheet: req.body.sheet ? String(req.body.sheet) : null });
+    return { rows, fileName: meta.fileName };
+  } catch (err) {
+    res.status(400).json({ error: `Could not read ${meta.fileName}: ${err.message}` });
+    return null;
+  }
+}
+
+function ownImport(req, res) {
+  const meta = jobManager.imports.get(req.params.importId);
+  if (!meta || !canAccess(req.user, meta)) {
+    res.status(404).json({ error: "Import not found, load the file again" });
+    return null;
+  }
+  return meta;
+}
+
+// Upload a spreadsheet or JSON file for the server to parse: a multipart
+// "file" (CSV, TSV, XLSX, JSON, JSON lines) or { url } for a link such as a
+// published Google Sheet. Answers 202 with the importId right away; poll
+// GET /api/imports/:importId for the parse progress and then the rows.
+app.post("/api/imports", (req, res) => {
+  importUpload.single("file")(req, res, async err => {
+    if (err) {
+      const tooLarge = err.code === "LIMIT_FILE_SIZE";
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `File is larger than ${UPLOAD_MAX_MB} MB` : err.message
+      });
+    }
+
+    let source;
+    try {
+      if (req.file) {
+        const format = importFormat(req.file.originalname, req.file.mimetype);
+        if (!format) {
+          jobManager.imports.discard(req.file.path);
+          return res.status(400).json({ error: `Unsupported file type, use ${IMPORT_EXTENSIONS.join(", ")}` });
+        }
+        source = { part: req.file.path, fileName: req.file.originalname, format };
+      } else if (req.body?.url) {
+        const url = String(req.body.url).trim();
+        const part = jobManager.imports.partFile();
+        source = { part, url, ...await fetchSource(url, part, { maxBytes: UPLOAD_MAX_MB * 1024 * 1024 }) };
+      } else {
+        return res.status(400).json({ error: "No file (field \"file\") or url provided" });
+      }
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    let meta;
+    try {
+      meta = jobManager.imports.adopt(source.part, { ...source, owner: req.user.id });
+      jobManager.imports.begin(meta.importId);
+    } catch (e) {
+      jobManager.imports.discard(source.part);
+      return res.status(500).json({ error: `Could not store ${source.fileName}: ${e.message}` });
+    }
+    console.log(`📥 Import ${meta.importId.slice(0, 8)}: ${meta.fileName} (${meta.format}, ${Math.round(meta.size / 1024)} KB)`);
+
+    res.status(202).json({
+      success: true,
+      importId: meta.importId,
+      fileName: meta.fileName,
+      format: meta.format,
+      size: meta.size,
+      status: "parsing"
+    });
+  });
+});
+
+// Parse progress while the upload is read, then the rows; `sheet` picks
+// another sheet of a workbook
+app.get("/api/imports/:importId", async (req, res) => {
+  const meta = ownImport(req, res);
+  if (!meta) return;
+
+  const sheet = req.query.sheet ? String(req.query.sheet) : null;
+  const parsing = jobManager.imports.progress(meta.importId);
+  if (parsing && !parsing.done && !sheet) {
+    return res.status(202).json({ success: true, importId: meta.importId, status: "parsing", ...parsing.progress });
+  }
+
+  try {
+    sendImport(res, meta, await jobManager.imports.table(meta.importId, { sheet }));
+  } catch (e) {
+    res.status(400).json({ error: `Could not read ${meta.fileName}: ${e.message}` });
+  }
+});
+
+// Inspect the file_id cache; it is shared by every user's jobs, so like
+// clearing it this is for admins only
+app.get("/api/file-cache", requireAdmin, (req, res) => {
+  const entries = jobManager.fileCache.list();
+  res.json({ count: entries.length, entries });
+});
+
+// Clear the file_id cache, or only the entries for ?source=<url or sha256:...>
+app.delete("/api/file-cache", requireAdmin, (req, res) => {
+  const removed = jobManager.fileCache.clear(String(req.query.source ?? "").trim());
+  res.json({ success: true, removed });
+});
+
+// Start a new send job
+app.post("/api/send", async (req, res) => {
+  const { uploadId, importId } = req.body;
+  let { rows, fileName } = req.body;
+  let schedule;
+  let keyboard;
+  let dedup;
+  const priority = Number(req.body.priority ?? 0);
+
+  // The profile fills in whatever the request leaves out
+  const profileName = req.body.profile ? String(req.body.profile) : null;
+  const profile = profiles.get(profileName || "default");
+  if (profileName && !profile) {
+    return res.status(400).json({ error: `No profile named "${profileName}"` });
+  }
+
+  const mapping = req.body.mapping || profile?.mapping;
+  const template = req.body.template ?? profile?.template;
+  const parseMode = req.body.parseMode || profile?.parseMode;
+  const messageType = req.body.messageType || profile?.messageType;
+  const bot = String(req.body.bot || profile?.bot || "default");
+  let destinations = profile ? parseDestinations(profile.destinations).destinations : DEFAULT_DESTINATIONS;
+
+  // Rows from a file parsed by /api/imports instead of the request body
+  if (importId) {
+    const source = await importedRows(req, res);
+    if (!source) return;
+    rows = source.rows;
+    fileName = fileName || source.fileName;
+  }
+
+  if (!rows || !Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: "No rows provided" });
+  }
+
+  if (!mapping) {
+    return res.status(400).json({ error: "No mapping provided" });
+  }
+
+  if (parseMode && !PARSE_MODES.includes(parseMode)) {
+    return res.status(400).json({ error: `Unsupported parse mode: ${parseMode}` });
+  }
+
+  if (messageType && !MESSAGE_TYPES.includes(messageType)) {
+    return res.status(400).json({ error: `Unsupported message type: ${messageType}` });
+  }
+
+  try {
+    compileTemplate(template);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid template: ${err.message}` });
+  }
+
+  try {
+    schedule = normalizeSchedule(req.body.schedule);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid schedule: ${err.message}` });
+  }
+
+  try {
+    keyboard = normalizeKeyboard(req.body.keyboard);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid keyboard: ${err.message}` });
+  }
+
+  if (!Number.isInteger(priority)) {
+    return res.status(400).json({ error: "Priority must be a whole number" });
+  }
+
+  try {
+    dedup = normalizeDedup(req.body.dedup);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid dedup option: ${err.message}` });
+  }
+
+  if (uploadId && !ownUpload(req.user, uploadId)) {
+    return res.status(400).json({ error: "Uploaded ZIP not found, upload it again" });
+  }
+
+  if (req.body.destinations && req.body.destinations.length > 0) {
+    const parsed = parseDestinations(req.body.destinations);
+    if (parsed.invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid destinations: ${parsed.invalid.join(", ")}` });
+    }
+    destinations = parsed.destinations;
+  }
+
+  if (!jobManager.credentials.has(bot)) {
+    return res.status(bot === "default" ? 500 : 400).json({
+      error: bot === "default" ? "Bot token not configured" : `No bot saved as "${bot}"`
+    });
+  }
+
+  if (destinations.length === 0 && !mapping.destination) {
+    return res.status(400).json({ error: `No destinations given and the ${profile?.name || "default"} profile has none` });
+  }
+
+  // Create job and start processing
+  const jobId = jobManager.createJob(rows, mapping, {
+    template,
+    parseMode,
+    messageType,
+    keyboard,
+    uploadId,
+    dedup,
+    priority,
+    fileName: fileName ? String(fileName).slice(0, 255) : null,
+    owner: req.user.id,
+    bot,
+    profile: profile?.name,
+    rates: profile?.rates,
+    schedule,
+    destinations
+  });
+
+  console.log(`\n🚀 Created job ${jobId} with ${rows.length} rows\n`);
+
+  // Return immediately with job ID
+  res.json({
+    success: true,
+    jobId,
+    total: rows.length,
+    message: `Job started. Subscribe to /api/events/${jobId} for updates.`
+  });
+});
+
+// SSE endpoint for real-time updates
+app.get("/api/events/:jobId", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  // Set SSE headers
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+
+  // Send initial state
+  res.write(`event: connected\ndata: ${JSON.stringify({ jobId, status: job.status })}\n\n`);
+
+  // Replay existing logs
+  job.logs.forEach(log => {
+    res.write(`event: log\ndata: ${JSON.stringify(log)}\n\n`);
+  });
+
+  // Send current progress
+  res.write(`event: progress\ndata: ${JSON.stringify({
+    current: job.current,
+    total: job.total,
+    sent: job.sent,
+    failed: job.failed,
+    skipped: job.skipped,
+    percent: job.total > 0 ? Math.round((job.current / job.total) * 100) : 0,
+    destinations: Object.values(job.destinationStats)
+  })}\n\n`);
+
+  // Tell late subscribers when the next scheduled post is due
+  if (job.nextSlotAt && job.nextSlotAt > Date.now()) {
+    res.write(`event: waiting\ndata: ${JSON.stringify({ until: new Date(job.nextSlotAt).toISOString() })}\n\n`);
+  }
+
+  // If job is already done, send done event
+  if (job.status === "completed" || job.status === "stopped") {
     res.write(`event: done\ndata: ${JSON.stringify({
+      kind: job.kind,
+      status: job.status,
       sent: job.sent,
       failed: job.failed,
-      total: job.total
+      skipped: job.skipped,
+      total: job.total,
+      destinations: Object.values(job.destinationStats)
     })}\n\n`);
   }
 
@@ -389,6 +1840,334 @@ app.post("/api/stop/:jobId", (req, res) => {
   res.json({ success: true, message: "Job stop requested" });
 });
 
+// Pause a running job
+app.post("/api/pause/:jobId", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  if (!jobManager.pauseJob(jobId)) {
+    return res.status(409).json({ error: `Job is ${job.status}, cannot pause` });
+  }
+
+  res.json({ success: true, message: "Job paused" });
+});
+
+// Resume a paused job
+app.post("/api/resume/:jobId", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  if (!jobManager.resumeJob(jobId)) {
+    return res.status(409).json({ error: `Job is ${job.status}, cannot resume` });
+  }
+
+  res.json({ success: true, message: "Job resumed" });
+});
+
+// Change when a job starts or how it drip-feeds
+app.patch("/api/job/:jobId/schedule", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  let schedule;
+  try {
+    schedule = normalizeSchedule(req.body.schedule);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid schedule: ${err.message}` });
+  }
+
+  if (!jobManager.updateSchedule(jobId, schedule)) {
+    return res.status(409).json({ error: `Job is ${job.status}, cannot reschedule` });
+  }
+
+  res.json({ success: true, schedule: job.schedule, status: job.status });
+});
+
+// Move a queued job in line: { position } with 1 = next to start
+app.patch("/api/job/:jobId/queue", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  const position = Number(req.body.position);
+  if (!Number.isInteger(position) || position < 1) {
+    return res.status(400).json({ error: "Position must be a whole number from 1" });
+  }
+
+  if (!jobManager.moveQueued(jobId, position)) {
+    return res.status(409).json({ error: `Job is ${job.status}, only queued jobs can be moved` });
+  }
+
+  res.json({ success: true, queuePosition: jobManager.queue.position(jobId), status: job.status });
+});
+
+// Cancel a job that has not started posting yet
+app.post("/api/job/:jobId/cancel", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  if (!["pending", "queued", "scheduled"].includes(job.status)) {
+    return res.status(409).json({ error: `Job is ${job.status}, stop it instead` });
+  }
+
+  jobManager.stopJob(jobId);
+  res.json({ success: true, message: "Job cancelled" });
+});
+
+// Retry the failed rows of a finished job as a new job
+app.post("/api/job/:jobId/retry-failed", (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  if (job.status !== "completed" && job.status !== "stopped") {
+    return res.status(409).json({ error: `Job is ${job.status}, wait for it to finish` });
+  }
+
+  if (job.failed === 0) {
+    return res.status(400).json({ error: "Job has no failed rows" });
+  }
+
+  const retryId = jobManager.retryFailed(jobId);
+
+  res.json({
+    success: true,
+    jobId: retryId,
+    total: job.failed,
+    message: `Retry job started. Subscribe to /api/events/${retryId} for updates.`
+  });
+});
+
+// Posted messages can only be edited or deleted from a finished send job
+function postedJob(req, res) {
+  const job = jobManager.getJob(req.params.jobId);
+
+  if (!job) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+
+  if (job.kind !== "send") {
+    res.status(400).json({ error: `This is ${job.kind === "edit" ? "an" : "a"} ${job.kind} job, use the job that posted the messages` });
+    return null;
+  }
+
+  if (job.status !== "completed" && job.status !== "stopped") {
+    res.status(409).json({ error: `Job is ${job.status}, wait for it to finish` });
+    return null;
+  }
+
+  return job;
+}
+
+// Edit the messages a job posted, from an updated CSV and/or template
+app.post("/api/job/:jobId/edit", async (req, res) => {
+  const job = postedJob(req, res);
+  if (!job) return;
+
+  const { mapping, template, parseMode, matchBy, uploadId, importId } = req.body;
+  let { rows } = req.body;
+  let keyboard;
+
+  // Large edits send their rows as an import, like send jobs
+  if (importId) {
+    const source = await importedRows(req, res);
+    if (!source) return;
+    rows = source.rows;
+  }
+
+  if (rows !== undefined && (!Array.isArray(rows) || rows.length === 0)) {
+    return res.status(400).json({ error: "No rows provided" });
+  }
+
+  if (parseMode && !PARSE_MODES.includes(parseMode)) {
+    return res.status(400).json({ error: `Unsupported parse mode: ${parseMode}` });
+  }
+
+  try {
+    compileTemplate(template ?? job.template);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid template: ${err.message}` });
+  }
+
+  try {
+    keyboard = req.body.keyboard === undefined ? undefined : normalizeKeyboard(req.body.keyboard);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid keyboard: ${err.message}` });
+  }
+
+  if (uploadId && !ownUpload(req.user, uploadId)) {
+    return res.status(400).json({ error: "Uploaded ZIP not found, upload it again" });
+  }
+
+  const { jobId, total, unmatched } = jobManager.editPosted(job.id, {
+    rows,
+    mapping,
+    template,
+    parseMode,
+    keyboard,
+    uploadId,
+    matchBy: matchBy ? String(matchBy) : null,
+    editMedia: !!req.body.editMedia
+  });
+
+  if (!jobId) {
+    return res.status(400).json({ error: "No posted rows match the updated rows" });
+  }
+
+  res.json({
+    success: true,
+    jobId,
+    total,
+    unmatched,
+    message: `Edit job started. Subscribe to /api/events/${jobId} for updates.`
+  });
+});
+
+// Delete the messages a job posted: all rows, or { rows: [1, 5, 7] }
+app.post("/api/job/:jobId/delete", (req, res) => {
+  const job = postedJob(req, res);
+  if (!job) return;
+
+  const rowNumbers = req.body?.rows;
+  if (rowNumbers !== undefined && (!Array.isArray(rowNumbers) || rowNumbers.some(n => !Number.isInteger(Number(n))))) {
+    return res.status(400).json({ error: "rows must be a list of row numbers" });
+  }
+
+  const { jobId, total } = jobManager.deletePosted(job.id, rowNumbers);
+
+  if (!jobId) {
+    return res.status(400).json({ error: "No posted messages to delete" });
+  }
+
+  res.json({
+    success: true,
+    jobId,
+    total,
+    message: `Delete job started. Subscribe to /api/events/${jobId} for updates.`
+  });
+});
+
+// One line of the jobs list / history
+function jobSummary(job) {
+  const destinations = Object.values(job.destinationStats);
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    fileName: job.fileName || null,
+    owner: auth.users.get(job.owner)?.username ?? null,
+    bot: job.bot,
+    profile: job.profile,
+    destinations: (destinations.length ? destinations : job.destinations).map(formatDestination),
+    priority: job.priority,
+    queuePosition: jobManager.queue.position(job.id),
+    total: job.total,
+    sent: job.sent,
+    failed: job.failed,
+    skipped: job.skipped,
+    current: job.current,
+    retryOf: job.retryOf,
+    sourceJob: job.sourceJob,
+    startTime: new Date(job.startTime).toISOString(),
+    endTime: job.endTime ? new Date(job.endTime).toISOString() : null,
+    durationMs: job.endTime ? job.endTime - job.startTime : null
+  };
+}
+
+// List jobs, newest first; ?status=queued,running filters by status
+app.get("/api/jobs", (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(",").map(status => status.trim()) : null;
+
+  const jobs = [...jobManager.jobs.values()]
+    .filter(job => canAccess(req.user, job) && (!statuses || statuses.includes(job.status)))
+    .sort((a, b) => b.startTime - a.startTime)
+    .map(jobSummary);
+
+  res.json({ count: jobs.length, jobs });
+});
+
+// Everything about one job for the history view: settings, log and the
+// outcome of every row
+app.get("/api/job/:jobId/details", (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  const titleColumn = job.mapping?.title;
+  res.json({
+    ...jobSummary(job),
+    mapping: job.mapping,
+    template: job.template,
+    parseMode: job.parseMode,
+    messageType: job.messageType,
+    keyboard: job.keyboard,
+    dedup: job.dedup,
+    schedule: job.schedule,
+    logs: job.logs,
+    rows: job.rows.map((row, index) => ({
+      row: index + 1,
+      title: titleColumn ? row.data[titleColumn] ?? null : null,
+      status: row.status,
+      error: row.error,
+      attempts: row.attempts,
+      deliveries: row.deliveries.map(({ chatId, threadId, status, error, messageIds }) => ({
+        destination: formatDestination({ chatId, threadId }),
+        status,
+        error,
+        messageIds: messageIds || []
+      }))
+    }))
+  });
+});
+
+// Row-by-row results with message links: ?format=csv (default) or json
+app.get("/api/job/:jobId/export", (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unsupported format: ${format} (use ${EXPORT_FORMATS.join(" or ")})` });
+  }
+
+  const baseName = (job.fileName || "job").replace(/\.[^.]+$/, "").replace(/[^\w.-]+/g, "_");
+  const records = exportRecords(job);
+  res.attachment(`${baseName}-${job.id.slice(0, 8)}-results.${format}`);
+
+  if (format === "json") {
+    return res.json({ ...jobSummary(job), results: records });
+  }
+  res.type("text/csv").send(toCsv(records));
+});
+
 // Get job status
 app.get("/api/job/:jobId", (req, res) => {
   const { jobId } = req.params;
@@ -400,12 +2179,23 @@ app.get("/api/job/:jobId", (req, res) => {
 
   res.json({
     id: job.id,
+    kind: job.kind,
+    sourceJob: job.sourceJob,
+    bot: job.bot,
     status: job.status,
+    priority: job.priority,
+    queuePosition: jobManager.queue.position(job.id),
     total: job.total,
     sent: job.sent,
     failed: job.failed,
+    skipped: job.skipped,
     current: job.current,
-    errors: job.errors
+    errors: job.errors,
+    dedup: job.dedup,
+    destinations: Object.values(job.destinationStats),
+    retryOf: job.retryOf,
+    schedule: job.schedule,
+    nextSlotAt: job.nextSlotAt ? new Date(job.nextSlotAt).toISOString() : null
   });
 });
 
@@ -413,8 +2203,29 @@ app.get("/api/job/:jobId", (req, res) => {
 // START SERVER
 // ========================================
 const PORT = process.env.PORT || 3000;
+
+// The first admin comes from ADMIN_USERNAME / ADMIN_PASSWORD
+if (!auth.hasUsers && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+  const admin = await auth.createUser({
+    username: process.env.ADMIN_USERNAME,
+    password: process.env.ADMIN_PASSWORD,
+    role: "admin"
+  });
+  console.log(`👤 Created admin user ${admin.username}`);
+}
+
+const restoredJobs = jobManager.restore();
+jobManager.cleanup();
+setInterval(() => jobManager.cleanup(), 60000).unref();
+
 app.listen(PORT, () => {
   console.log(`\n🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📋 Bot Token: ${BOT_TOKEN ? "✓ Configured" : "✗ Missing"}`);
-  console.log(`📺 Channel ID: ${CHANNEL_ID ? "✓ Configured" : "✗ Missing"}\n`);
+  console.log(`📋 Bots: ${jobManager.credentials.list().map(bot => bot.alias).join(", ") || "✗ Missing"}${CREDENTIALS_KEY ? "" : " (set CREDENTIALS_KEY to save more)"}`);
+  console.log(`📺 Channel ID: ${DEFAULT_DESTINATIONS.length > 0
+    ? `✓ ${DEFAULT_DESTINATIONS.map(formatDestination).join(", ")}`
+    : "✗ Missing"}`);
+  console.log(`👤 Users: ${auth.hasUsers
+    ? `✓ ${auth.users.size}`
+    : "✗ None, set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin"}`);
+  console.log(`💾 Jobs: ${restoredJobs} restored from ${DATA_DIR}\n`);
 });